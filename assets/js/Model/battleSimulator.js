@@ -0,0 +1,177 @@
+// Battle Simulator Model - Turn-based battles between two Pokemon
+// This file plays out a battle turn by turn: move order by priority and speed,
+// accuracy and critical hit rolls, damage from the damage engine and HP tracking
+
+// Import dependencies
+import { calculateMoveDamage } from './damageCalculator.js';
+import { calculateStats } from './statCalculator.js';
+import { createSeededRandom, randomInt } from './seededRandom.js';
+
+export const MAX_MOVES = 4;
+
+// Critical hits land 1 time in 24 without boosts (Generation VII onwards)
+export const CRITICAL_HIT_CHANCE = 1 / 24;
+
+// Battles where neither side can do damage would otherwise never end
+export const MAX_TURNS = 100;
+
+// Create a new battle
+// sides: two objects { pokemon, spread, moves, control }
+//   pokemon - PokéAPI Pokemon data, spread - { level, ivs, evs, nature } (see statCalculator.js)
+//   moves - 1 to 4 moves in the damage engine format, control - 'ai' or 'manual'
+// seed: the same seed and the same move choices replay the exact same battle
+export function createBattle(sides, seed) {
+    sides.forEach(side => {
+        if (side.moves.length === 0 || side.moves.length > MAX_MOVES) {
+            throw new Error(`${side.pokemon.name} needs between 1 and ${MAX_MOVES} moves.`);
+        }
+    });
+    
+    return {
+        seed,
+        random: createSeededRandom(seed),
+        turn: 0,
+        sides: sides.map(createBattler),
+        log: [],
+        winner: null, // Index of the winning side, null for a draw
+        isOver: false
+    };
+}
+
+function createBattler({ pokemon, spread, moves, control }) {
+    const stats = calculateStats(pokemon, spread);
+    return {
+        name: pokemon.name,
+        types: pokemon.types.map(t => t.type.name),
+        level: spread.level,
+        stats,
+        maxHp: stats.hp,
+        hp: stats.hp,
+        moves,
+        control
+    };
+}
+
+// Simple AI: the move with the highest expected damage (average roll x hit chance)
+// Returns the index of the move in the battler's move list
+export function chooseAiMove(battle, sideIndex) {
+    const attacker = battle.sides[sideIndex];
+    const defender = battle.sides[1 - sideIndex];
+    
+    const scores = attacker.moves.map(move => getExpectedDamage(attacker, defender, move));
+    const bestScore = Math.max(...scores);
+    
+    // Nothing deals damage (only status moves) - pick any move
+    if (bestScore === 0) {
+        return randomInt(battle.random, 0, attacker.moves.length - 1);
+    }
+    return scores.indexOf(bestScore);
+}
+
+function getExpectedDamage(attacker, defender, move) {
+    if (move.damageClass === 'status' || !move.power) return 0;
+    
+    const { rolls } = calculateMoveDamage(attacker, defender, move);
+    const averageDamage = rolls.reduce((sum, roll) => sum + roll, 0) / rolls.length;
+    const hitChance = move.accuracy === null ? 1 : move.accuracy / 100;
+    return averageDamage * hitChance;
+}
+
+// Who moves first: higher move priority, then higher Speed, then a coin flip
+// Returns the side indexes in move order, e.g. [1, 0]
+export function getTurnOrder(battle, moveIndexes) {
+    const [first, second] = battle.sides.map((side, i) => ({
+        priority: side.moves[moveIndexes[i]].priority,
+        speed: side.stats.speed
+    }));
+    
+    if (first.priority !== second.priority) {
+        return first.priority > second.priority ? [0, 1] : [1, 0];
+    }
+    if (first.speed !== second.speed) {
+        return first.speed > second.speed ? [0, 1] : [1, 0];
+    }
+    return battle.random() < 0.5 ? [0, 1] : [1, 0];
+}
+
+// Play one turn
+// choices: the move index for each side - null lets the AI choose
+// Returns the log entries of this turn: [{ turn, kind, ...details }]
+// The view turns entries into text, e.g. { kind: 'move', pokemon: 'pikachu', move: 'thunderbolt' }
+export function playTurn(battle, choices = [null, null]) {
+    if (battle.isOver) {
+        throw new Error('This battle is already over.');
+    }
+    
+    battle.turn++;
+    const entries = [];
+    const addEntry = (kind, details = {}) => entries.push({ turn: battle.turn, kind, ...details });
+    
+    const moveIndexes = choices.map((choice, sideIndex) =>
+        choice === null || choice === undefined ? chooseAiMove(battle, sideIndex) : choice
+    );
+    
+    for (const sideIndex of getTurnOrder(battle, moveIndexes)) {
+        const attacker = battle.sides[sideIndex];
+        const defender = battle.sides[1 - sideIndex];
+        const move = attacker.moves[moveIndexes[sideIndex]];
+        
+        useMove(battle, attacker, defender, move, addEntry);
+        
+        if (defender.hp === 0) {
+            addEntry('faint', { pokemon: defender.name });
+            battle.winner = sideIndex;
+            battle.isOver = true;
+            break;
+        }
+    }
+    
+    if (!battle.isOver && battle.turn >= MAX_TURNS) {
+        addEntry('draw', { turns: MAX_TURNS });
+        battle.isOver = true;
+    }
+    
+    battle.log.push(...entries);
+    return entries;
+}
+
+function useMove(battle, attacker, defender, move, addEntry) {
+    addEntry('move', { pokemon: attacker.name, move: move.name });
+    
+    // Moves with a null accuracy never miss
+    if (move.accuracy !== null && battle.random() * 100 >= move.accuracy) {
+        addEntry('miss', { pokemon: attacker.name });
+        return;
+    }
+    
+    // Status effects (stat changes, sleep, ...) are not simulated
+    if (move.damageClass === 'status' || !move.power) {
+        addEntry('status-move');
+        return;
+    }
+    
+    const critical = battle.random() < CRITICAL_HIT_CHANCE;
+    const result = calculateMoveDamage(attacker, defender, move, { critical });
+    
+    if (result.effectiveness === 0) {
+        addEntry('immune', { pokemon: defender.name });
+        return;
+    }
+    
+    // One of the 16 damage rolls, chosen by the seeded RNG
+    const damage = Math.min(result.rolls[randomInt(battle.random, 0, result.rolls.length - 1)], defender.hp);
+    defender.hp -= damage;
+    
+    if (critical) addEntry('critical');
+    if (result.effectiveness > 1) addEntry('super-effective');
+    if (result.effectiveness < 1) addEntry('not-very-effective');
+    addEntry('damage', { pokemon: defender.name, damage, hp: defender.hp, maxHp: defender.maxHp });
+}
+
+// Play turns until the battle is over - both sides must be AI controlled
+export function simulateBattle(battle) {
+    while (!battle.isOver) {
+        playTurn(battle);
+    }
+    return battle;
+}
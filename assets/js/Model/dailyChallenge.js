@@ -0,0 +1,78 @@
+// Daily Challenge Model - The same ten quiz questions for everyone on a given day
+// This file seeds every question from the date, remembers today's answers in localStorage
+// (one attempt per day) and builds the spoiler-free result to share
+
+// Import dependencies
+import { createSeededRandom, randomInt } from './seededRandom.js';
+import { QUIZ_KINDS, normalizeQuizMode } from './quizModes.js';
+
+export const DAILY_QUESTION_COUNT = 10;
+
+// Every daily question is drawn from the whole Pokédex at this difficulty
+const DAILY_POOL = 'all';
+const DAILY_DIFFICULTY = 'normal';
+
+const STORAGE_KEY = 'pokemonDailyChallenge';
+
+// Squares per line in the shared result
+const SHARE_ROW_LENGTH = 5;
+
+// { [date]: [true, false, ...] } - whether each answered question was right
+const dailyResults = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+
+// Today as "2026-10-19" in the player's time zone, so a new challenge starts at local midnight
+export function getDailyDate(date = new Date()) {
+    const pad = number => String(number).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// The mode and random function for one question of a day's challenge
+// Each question has its own seed, so it is the same no matter in which order questions are loaded
+export function getDailyQuestion(date, index) {
+    const random = createSeededRandom(`daily/${date}/${index}`);
+    const kinds = Object.keys(QUIZ_KINDS);
+    const mode = normalizeQuizMode({
+        kind: kinds[randomInt(random, 0, kinds.length - 1)],
+        pool: DAILY_POOL,
+        difficulty: DAILY_DIFFICULTY
+    });
+    return { mode, random };
+}
+
+// =============================================================================
+// TODAY'S ATTEMPT
+// =============================================================================
+
+export function getDailyResults(date) {
+    return [...(dailyResults[date] || [])];
+}
+
+export function isDailyChallengeFinished(date) {
+    return getDailyResults(date).length >= DAILY_QUESTION_COUNT;
+}
+
+// Answers are saved one by one - reloading the page continues the attempt instead of starting over
+export function recordDailyAnswer(date, isCorrect) {
+    const results = dailyResults[date] || [];
+    if (results.length >= DAILY_QUESTION_COUNT) return;
+    
+    dailyResults[date] = [...results, isCorrect];
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(dailyResults));
+}
+
+// =============================================================================
+// SHARING
+// =============================================================================
+
+// "Pokédex Explorer Daily Quiz 2026-10-19 - 7/10" and a row of squares per five questions
+// Only right and wrong are shared, never the Pokemon, so the result doesn't spoil the questions
+export function formatDailyShareText(date, results) {
+    const correct = results.filter(Boolean).length;
+    const squares = results.map(isCorrect => isCorrect ? '🟩' : '🟥');
+    const rows = [];
+    for (let i = 0; i < squares.length; i += SHARE_ROW_LENGTH) {
+        rows.push(squares.slice(i, i + SHARE_ROW_LENGTH).join(''));
+    }
+    
+    return [`Pokédex Explorer Daily Quiz ${date} - ${correct}/${DAILY_QUESTION_COUNT}`, ...rows].join('\n');
+}
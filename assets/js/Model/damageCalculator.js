@@ -0,0 +1,122 @@
+// Damage Calculator Model - The mainline battle damage formula
+// This file turns an attacker, a defender and a move into a damage range,
+// following the formula the main series games use since Generation V
+
+// Import dependencies
+import { getTypeMultiplier } from './typeMatchups.js';
+
+// The 16 random rolls: damage is multiplied by 85%, 86%, ... 100%
+const RANDOM_ROLLS = Array.from({ length: 16 }, (_, i) => 85 + i);
+
+export const CRITICAL_HIT_MULTIPLIER = 1.5;
+export const STAB_MULTIPLIER = 1.5;
+export const BURN_MULTIPLIER = 0.5;
+
+// Weather conditions and how they change damage
+// moveTypes boosts or weakens moves of a type, defenseBoost raises a defending stat of a type
+export const WEATHER_CONDITIONS = {
+    none: { name: 'No weather', moveTypes: {} },
+    sun: { name: 'Harsh sunlight', moveTypes: { fire: 1.5, water: 0.5 } },
+    rain: { name: 'Rain', moveTypes: { water: 1.5, fire: 0.5 } },
+    sand: { name: 'Sandstorm', moveTypes: {}, defenseBoost: { type: 'rock', stat: 'special-defense' } },
+    snow: { name: 'Snow', moveTypes: {}, defenseBoost: { type: 'ice', stat: 'defense' } }
+};
+
+// Physical moves use Attack against Defense, special moves Sp. Atk against Sp. Def
+const DAMAGE_CLASS_STATS = {
+    physical: { attack: 'attack', defense: 'defense' },
+    special: { attack: 'special-attack', defense: 'special-defense' }
+};
+
+// Move used by the calculator until a real move is picked
+export const DEFAULT_CUSTOM_MOVE = { name: null, power: 80, type: 'normal', damageClass: 'physical', accuracy: 100, priority: 0 };
+
+// Convert PokéAPI move data into the move format of the damage engine
+// Status moves have a null power and the damage class "status", moves that never miss a null accuracy
+export function toBattleMove(moveData) {
+    return {
+        name: moveData.name,
+        power: moveData.power,
+        type: moveData.type.name,
+        damageClass: moveData.damage_class.name,
+        accuracy: moveData.accuracy,
+        priority: moveData.priority
+    };
+}
+
+// The games round modifiers half down: 10.5 -> 10, 10.51 -> 11
+function applyModifier(value, modifier) {
+    const result = value * modifier;
+    return result % 1 > 0.5 ? Math.ceil(result) : Math.floor(result);
+}
+
+// Calculate the damage of one move
+// attacker / defender: { level, types, stats } - stats as returned by calculateStats in statCalculator.js
+// move: { power, type, damageClass } - damageClass is 'physical' or 'special' (see toBattleMove)
+// conditions: { critical, burned, weather } - burned means the attacker is burned
+// Returns { min, max, rolls, effectiveness, stab, percentMin, percentMax, hitsToKO, defenderHp, attackStat, defenseStat }
+export function calculateMoveDamage(attacker, defender, move, conditions = {}) {
+    const { critical = false, burned = false, weather = 'none' } = conditions;
+    if (move.damageClass === 'status' || !move.power) {
+        throw new Error('Status moves and moves without a base power deal no direct damage.');
+    }
+    const statNames = DAMAGE_CLASS_STATS[move.damageClass];
+    if (!statNames) {
+        throw new Error(`Unknown damage class "${move.damageClass}". Use physical or special.`);
+    }
+    
+    const weatherCondition = WEATHER_CONDITIONS[weather] || WEATHER_CONDITIONS.none;
+    const attackStat = attacker.stats[statNames.attack];
+    let defenseStat = defender.stats[statNames.defense];
+    
+    // Sandstorm raises the Sp. Def of Rock types, snow the Defense of Ice types
+    const defenseBoost = weatherCondition.defenseBoost;
+    if (defenseBoost && defenseBoost.stat === statNames.defense && defender.types.includes(defenseBoost.type)) {
+        defenseStat = Math.floor(defenseStat * 1.5);
+    }
+    
+    const effectiveness = getTypeMultiplier(move.type, defender.types);
+    const stab = attacker.types.includes(move.type);
+    
+    // Base damage: floor(floor(floor(2 x Level / 5 + 2) x Power x A / D) / 50) + 2
+    const levelFactor = Math.floor(2 * attacker.level / 5 + 2);
+    const baseDamage = Math.floor(Math.floor(levelFactor * move.power * attackStat / defenseStat) / 50) + 2;
+    
+    // Modifiers are applied one at a time, in the order the games use, rounding after each
+    let damage = applyModifier(baseDamage, weatherCondition.moveTypes[move.type] || 1);
+    if (critical) damage = applyModifier(damage, CRITICAL_HIT_MULTIPLIER);
+    
+    const rolls = RANDOM_ROLLS.map(roll => {
+        let rollDamage = Math.floor(damage * roll / 100);
+        if (stab) rollDamage = applyModifier(rollDamage, STAB_MULTIPLIER);
+        rollDamage = Math.floor(rollDamage * effectiveness);
+        // Burn halves the damage of physical moves only
+        if (burned && move.damageClass === 'physical') rollDamage = applyModifier(rollDamage, BURN_MULTIPLIER);
+        
+        // A move that hits always deals at least 1 HP - immune Pokemon take none
+        return effectiveness === 0 ? 0 : Math.max(1, rollDamage);
+    });
+    
+    const min = rolls[0];
+    const max = rolls[rolls.length - 1];
+    const defenderHp = defender.stats.hp;
+    
+    return {
+        min,
+        max,
+        rolls,
+        effectiveness,
+        stab,
+        percentMin: min / defenderHp * 100,
+        percentMax: max / defenderHp * 100,
+        // Best case uses the highest roll every hit, worst case the lowest
+        hitsToKO: effectiveness === 0 ? null : {
+            min: Math.ceil(defenderHp / max),
+            max: Math.ceil(defenderHp / min)
+        },
+        defenderHp,
+        // The stats the formula used (defense after weather boosts)
+        attackStat,
+        defenseStat
+    };
+}
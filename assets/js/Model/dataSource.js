@@ -0,0 +1,184 @@
+// Data Source Model - Decides where API data comes from
+// This file is the single place that knows about base URLs, so the app can point at
+// the public PokéAPI, a self-hosted mirror, a local stub server, or recorded fixtures
+
+// Available modes
+// - remote: fetch from a PokéAPI-compatible server (the public API by default)
+// - fixture: serve recorded JSON from a bundle file, no network needed
+export const DATA_SOURCE_MODES = {
+    REMOTE: 'remote',
+    FIXTURE: 'fixture'
+};
+
+// The public PokéAPI - responses always embed URLs with this base, even when served from a mirror
+export const DEFAULT_API_BASE = 'https://pokeapi.co/api/v2';
+const DEFAULT_FIXTURE_URL = 'assets/fixtures/pokeapi-fixtures.json';
+const STORAGE_KEY = 'pokemonDataSource';
+
+// Settings are loaded from localStorage, then URL query parameters win,
+// e.g. index.html?source=fixture or index.html?api=http://localhost:8000/api/v2
+let dataSourceSettings = loadDataSourceSettings();
+
+// Fixture bundle - loaded once on first use ({ "pokemon/pikachu": {...}, ... })
+let fixtureBundlePromise = null;
+
+// Recording - when enabled every remote response is kept so it can be downloaded as a fixture bundle
+const recordedResponses = {};
+
+function loadDataSourceSettings() {
+    const defaults = {
+        mode: DATA_SOURCE_MODES.REMOTE,
+        baseUrl: DEFAULT_API_BASE,
+        fixtureUrl: DEFAULT_FIXTURE_URL,
+        recording: false
+    };
+    
+    let savedSettings = {};
+    try {
+        savedSettings = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    } catch (error) {
+        console.warn('Ignoring invalid data source settings:', error);
+    }
+    
+    const params = new URLSearchParams(window.location.search);
+    const querySettings = {};
+    if (params.has('source')) querySettings.mode = params.get('source');
+    if (params.has('api')) querySettings.baseUrl = params.get('api');
+    if (params.has('fixtures')) querySettings.fixtureUrl = params.get('fixtures');
+    
+    return normalizeSettings({ ...defaults, ...savedSettings, ...querySettings });
+}
+
+// Guard against typos in saved settings or query parameters
+function normalizeSettings(settings) {
+    return {
+        ...settings,
+        mode: Object.values(DATA_SOURCE_MODES).includes(settings.mode) ? settings.mode : DATA_SOURCE_MODES.REMOTE,
+        baseUrl: (settings.baseUrl || DEFAULT_API_BASE).trim().replace(/\/+$/, '')
+    };
+}
+
+export function getDataSourceSettings() {
+    return { ...dataSourceSettings }; // Return a copy to prevent external modification
+}
+
+// Update and persist the data source, e.g. configureDataSource({ baseUrl: 'http://localhost:8000/api/v2' })
+export function configureDataSource(settings) {
+    dataSourceSettings = normalizeSettings({ ...dataSourceSettings, ...settings });
+    fixtureBundlePromise = null; // The fixture URL may have changed
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(dataSourceSettings));
+    console.log('Data source configured:', dataSourceSettings);
+    return getDataSourceSettings();
+}
+
+export function getApiBaseUrl() {
+    return dataSourceSettings.baseUrl;
+}
+
+// Where data comes from right now - the base URL, or the fixture bundle in fixture mode
+// Cached data is kept per source, e.g. "fixture:assets/fixtures/pokeapi-fixtures.json"
+export function getDataSourceId() {
+    return dataSourceSettings.mode === DATA_SOURCE_MODES.FIXTURE
+        ? `fixture:${dataSourceSettings.fixtureUrl}`
+        : dataSourceSettings.baseUrl;
+}
+
+// Turn a full URL into a resource path such as "move/33"
+// Both the configured base and the public PokéAPI base are recognised, because
+// mirrors and fixtures return JSON that still links to https://pokeapi.co
+export function toResourcePath(url) {
+    const cleanUrl = url.toString().trim().replace(/\/+$/, ''); // Drop trailing slashes
+    for (const base of [dataSourceSettings.baseUrl, DEFAULT_API_BASE]) {
+        if (cleanUrl.startsWith(`${base}/`)) {
+            return cleanUrl.slice(base.length + 1);
+        }
+    }
+    return cleanUrl;
+}
+
+// Fetch a resource path from the active data source
+// Always resolves to a Response (or rejects like fetch), so callers handle both modes the same way
+export async function fetchFromDataSource(resourcePath, init = {}) {
+    if (dataSourceSettings.mode === DATA_SOURCE_MODES.FIXTURE) {
+        return fetchFixture(resourcePath);
+    }
+    
+    // Absolute URLs (outside the API base) are fetched as-is
+    const isAbsolute = /^https?:\/\//.test(resourcePath);
+    const response = await fetch(isAbsolute ? resourcePath : `${dataSourceSettings.baseUrl}/${resourcePath}`, init);
+    
+    if (dataSourceSettings.recording && response.ok) {
+        // clone() lets us read the body here and still hand the response back to the caller
+        recordedResponses[resourcePath] = await response.clone().json();
+    }
+    
+    return response;
+}
+
+// Load the fixture bundle once and share it between all requests
+function loadFixtureBundle() {
+    if (!fixtureBundlePromise) {
+        fixtureBundlePromise = fetch(dataSourceSettings.fixtureUrl)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`Fixture bundle not found at ${dataSourceSettings.fixtureUrl} (Status: ${response.status})`);
+                }
+                return response.json();
+            })
+            .catch(error => {
+                fixtureBundlePromise = null; // Allow another attempt later
+                throw error;
+            });
+    }
+    return fixtureBundlePromise;
+}
+
+// Serve a recorded response, mimicking PokéAPI status codes
+async function fetchFixture(resourcePath) {
+    const fixtures = await loadFixtureBundle();
+    const data = fixtures[resourcePath] ?? findListFixture(fixtures, resourcePath);
+    
+    if (data === undefined) {
+        console.warn('No fixture recorded for:', resourcePath);
+        return new Response('Not Found', { status: 404 });
+    }
+    
+    return new Response(JSON.stringify(data), {
+        status: 200,
+        headers: { 'Content-Type': 'application/json' }
+    });
+}
+
+// List endpoints ("pokemon?limit=20&offset=40") rarely match a recording exactly,
+// so slice the largest recorded list of the same endpoint instead
+function findListFixture(fixtures, resourcePath) {
+    const [endpoint, query] = resourcePath.split('?');
+    if (!query) return undefined;
+    
+    const recordedLists = Object.keys(fixtures)
+        .filter(key => key.split('?')[0] === endpoint && Array.isArray(fixtures[key].results))
+        .map(key => fixtures[key]);
+    if (recordedLists.length === 0) return undefined;
+    
+    const fullList = recordedLists.reduce((largest, list) => list.results.length > largest.results.length ? list : largest);
+    const params = new URLSearchParams(query);
+    const offset = Number(params.get('offset')) || 0;
+    const limit = Number(params.get('limit')) || 20;
+    
+    return {
+        count: fullList.count ?? fullList.results.length,
+        next: null,
+        previous: null,
+        results: fullList.results.slice(offset, offset + limit)
+    };
+}
+
+// Recording helpers - record while using the app against the real API,
+// then save the exported bundle as assets/fixtures/pokeapi-fixtures.json
+export function getRecordedResponseCount() {
+    return Object.keys(recordedResponses).length;
+}
+
+export function getRecordedFixtures() {
+    return { ...recordedResponses };
+}
@@ -16,13 +16,7 @@ export function toggleFavorite(pokemon) {
         console.log(`Removed ${pokemon.name} from favorites`);
     } else {
         // Add to favorites - create simplified object to save storage space
-        const favoriteData = {
-            id: pokemon.id,
-            name: pokemon.name,
-            sprite: pokemon.sprites.front_default,
-            types: pokemon.types.map(type => type.type.name)
-        };
-        favoritesPokemon.push(favoriteData);
+        favoritesPokemon.push(createFavoriteData(pokemon));
         console.log(`Added ${pokemon.name} to favorites`);
     }
     
@@ -32,6 +26,27 @@ export function toggleFavorite(pokemon) {
     return favoritesPokemon;
 }
 
+// Add without toggling - a Pokemon that is already a favorite stays one
+// Returns true when the Pokemon was added
+export function addFavorite(pokemon) {
+    if (isFavorite(pokemon.id)) return false;
+    
+    favoritesPokemon.push(createFavoriteData(pokemon));
+    localStorage.setItem('pokemonFavorites', JSON.stringify(favoritesPokemon));
+    console.log(`Added ${pokemon.name} to favorites`);
+    return true;
+}
+
+// Simplified object to save storage space
+function createFavoriteData(pokemon) {
+    return {
+        id: pokemon.id,
+        name: pokemon.name,
+        sprite: pokemon.sprites.front_default,
+        types: pokemon.types.map(type => type.type.name)
+    };
+}
+
 export function removeFavorite(pokemonId) {
     // Find and remove specific Pokemon from favorites
     const initialLength = favoritesPokemon.length;
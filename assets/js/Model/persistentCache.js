@@ -0,0 +1,199 @@
+// Persistent Cache Model - IndexedDB storage layer behind the in-memory API cache
+// This file keeps API responses across page reloads with per-entry expiry and LRU eviction
+
+// Database configuration - bump DB_VERSION whenever the store layout changes
+const DB_NAME = 'pokedex-explorer-cache';
+const DB_VERSION = 1;
+const ENTRIES_STORE = 'entries';   // Holds the (large) response payloads
+const META_STORE = 'meta';         // Holds small bookkeeping records used for expiry and eviction
+
+// Cache limits - entries expire after DEFAULT_TTL and the least recently used
+// entries are evicted once either limit is exceeded
+export const DEFAULT_TTL = 7 * 24 * 60 * 60 * 1000; // One week in milliseconds
+const MAX_PERSISTENT_ENTRIES = 500;
+const MAX_PERSISTENT_BYTES = 25 * 1024 * 1024;     // 25 MB of serialized JSON
+
+// Opening the database is asynchronous, so we share a single promise
+// between all callers instead of opening a new connection every time
+let databasePromise = null;
+
+// Wrap an IDBRequest in a Promise so we can use async/await with IndexedDB
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Resolve when a transaction has fully committed
+function transactionDone(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+// Open (and create or upgrade) the cache database
+// Resolves to null when IndexedDB is unavailable (private browsing, file:// in some browsers),
+// which lets the rest of the app silently fall back to the in-memory cache only
+function openDatabase() {
+    if (databasePromise) return databasePromise;
+
+    if (typeof indexedDB === 'undefined') {
+        databasePromise = Promise.resolve(null);
+        return databasePromise;
+    }
+
+    databasePromise = new Promise(resolve => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        // Runs on first use and whenever DB_VERSION changes
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(ENTRIES_STORE)) {
+                db.createObjectStore(ENTRIES_STORE, { keyPath: 'key' });
+            }
+            if (!db.objectStoreNames.contains(META_STORE)) {
+                const metaStore = db.createObjectStore(META_STORE, { keyPath: 'key' });
+                // Index on last access time lets us walk entries from least to most recently used
+                metaStore.createIndex('lastAccessed', 'lastAccessed');
+            }
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+            console.warn('Persistent cache unavailable:', request.error);
+            resolve(null);
+        };
+        request.onblocked = () => {
+            console.warn('Persistent cache blocked by another open tab');
+            resolve(null);
+        };
+    });
+
+    return databasePromise;
+}
+
+// Read an entry from the persistent cache
+// Returns null for missing or expired entries; expired entries are deleted on read
+export async function getPersistentEntry(key) {
+    try {
+        const db = await openDatabase();
+        if (!db) return null;
+
+        const transaction = db.transaction([ENTRIES_STORE, META_STORE], 'readwrite');
+        const entriesStore = transaction.objectStore(ENTRIES_STORE);
+        const metaStore = transaction.objectStore(META_STORE);
+
+        const meta = await requestToPromise(metaStore.get(key));
+        if (!meta) return null;
+
+        // Per-entry expiry - stale data is removed instead of returned
+        if (meta.expiresAt <= Date.now()) {
+            entriesStore.delete(key);
+            metaStore.delete(key);
+            await transactionDone(transaction);
+            return null;
+        }
+
+        const entry = await requestToPromise(entriesStore.get(key));
+
+        // Touch the entry so LRU eviction keeps frequently used data around
+        meta.lastAccessed = Date.now();
+        metaStore.put(meta);
+        await transactionDone(transaction);
+
+        return entry ? entry.data : null;
+    } catch (error) {
+        console.warn('Persistent cache read failed:', error);
+        return null;
+    }
+}
+
+// Write an entry to the persistent cache, then evict old entries if we are over the limits
+export async function setPersistentEntry(key, data, ttl = DEFAULT_TTL) {
+    try {
+        const db = await openDatabase();
+        if (!db) return;
+
+        const now = Date.now();
+        // The serialized length is a cheap and good-enough estimate of the stored size
+        const size = JSON.stringify(data).length;
+
+        const transaction = db.transaction([ENTRIES_STORE, META_STORE], 'readwrite');
+        transaction.objectStore(ENTRIES_STORE).put({ key, data });
+        transaction.objectStore(META_STORE).put({
+            key,
+            size,
+            storedAt: now,
+            lastAccessed: now,
+            expiresAt: now + ttl
+        });
+        await transactionDone(transaction);
+
+        await evictLeastRecentlyUsed(db);
+    } catch (error) {
+        console.warn('Persistent cache write failed:', error);
+    }
+}
+
+// LRU eviction - walk the metadata from least to most recently used and
+// delete entries until both the entry count and byte size fit the limits
+async function evictLeastRecentlyUsed(db) {
+    const transaction = db.transaction([ENTRIES_STORE, META_STORE], 'readwrite');
+    const entriesStore = transaction.objectStore(ENTRIES_STORE);
+    const metaStore = transaction.objectStore(META_STORE);
+
+    const allMeta = await requestToPromise(metaStore.index('lastAccessed').getAll());
+    let entryCount = allMeta.length;
+    let totalBytes = allMeta.reduce((sum, meta) => sum + meta.size, 0);
+    const now = Date.now();
+
+    for (const meta of allMeta) {
+        const isExpired = meta.expiresAt <= now;
+        const overLimit = entryCount > MAX_PERSISTENT_ENTRIES || totalBytes > MAX_PERSISTENT_BYTES;
+        if (!isExpired && !overLimit) continue;
+
+        entriesStore.delete(meta.key);
+        metaStore.delete(meta.key);
+        entryCount--;
+        totalBytes -= meta.size;
+    }
+
+    await transactionDone(transaction);
+}
+
+// Remove every persistent entry
+export async function clearPersistentCache() {
+    try {
+        const db = await openDatabase();
+        if (!db) return;
+
+        const transaction = db.transaction([ENTRIES_STORE, META_STORE], 'readwrite');
+        transaction.objectStore(ENTRIES_STORE).clear();
+        transaction.objectStore(META_STORE).clear();
+        await transactionDone(transaction);
+    } catch (error) {
+        console.warn('Persistent cache clear failed:', error);
+    }
+}
+
+// Report entry count and approximate size of the persistent cache
+export async function getPersistentCacheStats() {
+    try {
+        const db = await openDatabase();
+        if (!db) return { entries: 0, bytes: 0 };
+
+        const transaction = db.transaction(META_STORE, 'readonly');
+        const allMeta = await requestToPromise(transaction.objectStore(META_STORE).getAll());
+
+        return {
+            entries: allMeta.length,
+            bytes: allMeta.reduce((sum, meta) => sum + meta.size, 0)
+        };
+    } catch (error) {
+        console.warn('Persistent cache stats failed:', error);
+        return { entries: 0, bytes: 0 };
+    }
+}
@@ -2,95 +2,473 @@
 // Pokemon API Model - Handles all API interactions and caching
 // This file contains API configuration and data fetching functions
 
-// API Configuration - Constants for our external API
-// Using const ensures these values cannot be accidentally changed
-const POKEAPI_BASE = 'https://pokeapi.co/api/v2';  // Base URL for PokéAPI
-const POKEMON_ENDPOINT = `${POKEAPI_BASE}/pokemon`; // Template literal to build endpoint
+// Import the persistent (IndexedDB) cache tier and the configurable data source
+// The base URL (public PokéAPI, a mirror, or fixtures) lives in dataSource.js
+import { getPersistentEntry, setPersistentEntry, clearPersistentCache, getPersistentCacheStats } from './persistentCache.js';
+import { fetchFromDataSource, toResourcePath, getDataSourceId } from './dataSource.js';
 
-// Cache System - Using Map for performance optimization
+// Cache System - Two tiers shared by every resource (Pokémon, species, moves, ...)
+// Tier 1: an in-memory Map, the fastest lookup but lost on every reload
+// Tier 2: IndexedDB (see persistentCache.js), which survives reloads and expires entries
 // Map is more efficient than objects for frequent additions/deletions
-// This prevents unnecessary API calls for previously fetched Pokémon
-const pokemonCache = new Map();
+// This prevents unnecessary API calls for previously fetched data
+// Keys are the data source followed by the resource path, e.g. "https://pokeapi.co/api/v2 move/33"
+const responseCache = new Map();
+const MAX_MEMORY_ENTRIES = 150;
 
-// Main function to fetch Pokémon data from the API
+// Data from one source (the public API, a mirror, fixtures) is never served for another,
+// so switching sources - in the settings or with ?source= / ?api= - needs no cache clearing
+function getCacheKey(resourcePath) {
+    return `${getDataSourceId()} ${resourcePath}`;
+}
+
+// Memory cache helpers - Map keeps insertion order, so re-inserting an entry on
+// every access keeps the least recently used entry first, ready to be evicted
+function getMemoryEntry(key) {
+    if (!responseCache.has(key)) return undefined;
+    const value = responseCache.get(key);
+    responseCache.delete(key);
+    responseCache.set(key, value);
+    return value;
+}
+
+function setMemoryEntry(key, value) {
+    responseCache.delete(key);
+    responseCache.set(key, value);
+    
+    // Evict the least recently used entry once we go over the limit
+    if (responseCache.size > MAX_MEMORY_ENTRIES) {
+        const oldestKey = responseCache.keys().next().value;
+        responseCache.delete(oldestKey);
+    }
+}
+
+// Human readable labels for each endpoint - used to build error messages
+// so a missing move says "Move not found" instead of a generic failure
+const RESOURCE_LABELS = {
+    'pokemon': 'Pokémon',
+    'pokemon-species': 'Pokémon species',
+    'evolution-chain': 'Evolution chain',
+    'move': 'Move',
+    'type': 'Type',
+    'ability': 'Ability',
+    'item': 'Item',
+    'generation': 'Generation'
+};
+
+// Fallback label for endpoints missing from RESOURCE_LABELS ("pokemon-color" -> "Pokemon color")
+function capitalizeEndpoint(endpoint) {
+    const words = endpoint.replace(/-/g, ' ');
+    return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+// Request Settings - timeouts and retries, adjustable through configureRequests()
+// Retries use exponential backoff: 500ms, 1s, 2s, ... between attempts
+const requestSettings = {
+    timeout: 10000,         // Milliseconds before a single attempt is aborted
+    maxRetries: 3,          // Extra attempts after the first one fails
+    retryBaseDelay: 500     // Delay before the first retry, doubled for every further retry
+};
+
+// Change timeout/retry behaviour at runtime, e.g. configureRequests({ timeout: 5000 })
+export function configureRequests(settings) {
+    Object.assign(requestSettings, settings);
+}
+
+// Error helpers - errors carry the HTTP status so callers can react to specific failures
+function createHttpError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+function createAbortError() {
+    return new DOMException('Request cancelled', 'AbortError');
+}
+
+// Controllers use this to ignore errors from requests they cancelled themselves
+export function isAbortError(error) {
+    return error?.name === 'AbortError';
+}
+
+// Only transient failures are worth retrying: network errors, timeouts, rate limits and server errors
+// A 404 will still be a 404 next time, so it fails straight away
+function isRetryableError(error) {
+    if (isAbortError(error)) return false;
+    if (error.status === undefined) return true;
+    return error.status === 429 || error.status >= 500;
+}
+
+// Promise-based sleep that wakes up early (and rejects) when the signal is aborted
+// The abort listener is removed once the delay is over, so a long-lived signal doesn't collect them
+function wait(delay, signal) {
+    return new Promise((resolve, reject) => {
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(createAbortError());
+        };
+        const timer = setTimeout(() => {
+            signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, delay);
+        signal.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+// Request Scheduler - keeps the app polite towards PokéAPI
+// 1. Coalescing: callers asking for a resource that is already loading share one request
+// 2. Concurrency limit: at most MAX_CONCURRENT_REQUESTS network calls run at once
+// 3. Priority: interactive requests (searches, clicks) jump ahead of background preloads
+export const REQUEST_PRIORITY = {
+    HIGH: 'high',   // Default - something the user is waiting on
+    LOW: 'low'      // Background work such as preloading
+};
+const MAX_CONCURRENT_REQUESTS = 6;
+const inFlightRequests = new Map();                       // cache key -> shared request entry
+const requestQueues = { [REQUEST_PRIORITY.HIGH]: [], [REQUEST_PRIORITY.LOW]: [] };
+let activeRequests = 0;
+
+// Queue a network task and resolve with its result once a slot is free
+function scheduleRequest(key, task, priority) {
+    return new Promise((resolve, reject) => {
+        requestQueues[priority].push({ key, task, resolve, reject });
+        runQueuedRequests();
+    });
+}
+
+// Start queued tasks until every slot is busy - high priority queue first
+function runQueuedRequests() {
+    while (activeRequests < MAX_CONCURRENT_REQUESTS) {
+        const next = requestQueues[REQUEST_PRIORITY.HIGH].shift() || requestQueues[REQUEST_PRIORITY.LOW].shift();
+        if (!next) return;
+        
+        activeRequests++;
+        next.task()
+            .then(next.resolve, next.reject)
+            .finally(() => {
+                activeRequests--;
+                runQueuedRequests();
+            });
+    }
+}
+
+// A user is now waiting on a request that was queued as background work - move it up
+function promoteQueuedRequest(key) {
+    const lowQueue = requestQueues[REQUEST_PRIORITY.LOW];
+    const index = lowQueue.findIndex(entry => entry.key === key);
+    if (index !== -1) {
+        requestQueues[REQUEST_PRIORITY.HIGH].push(...lowQueue.splice(index, 1));
+    }
+}
+
+// Core resource client - every fetch function below goes through here
+// so all resources share the same cache tiers, scheduler, logging and error semantics
+// Supported options:
+// - priority: a REQUEST_PRIORITY value (defaults to HIGH)
+// - signal: an AbortSignal that cancels this caller's wait
+// - onRetry: called with { attempt, maxRetries, delay, error } before each retry
+// - cache: false to use a cached copy but not store a new response in either tier -
+//   for bulk lookups that keep only a small part of each response
+function fetchCachedResource(resourcePath, notFoundMessage, options = {}) {
+    const priority = options.priority || REQUEST_PRIORITY.HIGH;
+    const shouldStore = options.cache !== false;
+    const cacheKey = getCacheKey(resourcePath);
+    
+    // Cache check - avoid unnecessary API calls for better performance
+    // Memory is checked synchronously (O(1) Map lookup)
+    const memoryData = getMemoryEntry(cacheKey);
+    if (memoryData) {
+        console.log('Using cached data for:', resourcePath);
+        return Promise.resolve(memoryData);
+    }
+    
+    // Coalescing - share the pending request instead of firing a duplicate one
+    let entry = inFlightRequests.get(cacheKey);
+    if (entry) {
+        console.log('Joining in-flight request for:', resourcePath);
+        if (priority === REQUEST_PRIORITY.HIGH) {
+            promoteQueuedRequest(cacheKey);
+        }
+        // One caller that wants the response cached is enough to cache it
+        entry.shouldStore = entry.shouldStore || shouldStore;
+    } else {
+        // Each shared request has its own AbortController - it is only aborted
+        // once every caller waiting on it has cancelled
+        entry = { controller: new AbortController(), waiters: 0, retryListeners: [], shouldStore };
+        entry.promise = loadResource(resourcePath, cacheKey, notFoundMessage, priority, entry)
+            .finally(() => {
+                if (inFlightRequests.get(cacheKey) === entry) {
+                    inFlightRequests.delete(cacheKey);
+                }
+            });
+        inFlightRequests.set(cacheKey, entry);
+    }
+    
+    return waitForRequest(cacheKey, entry, options.signal, options.onRetry);
+}
+
+// Attach one caller to a shared request
+// Without a signal the caller simply waits; with one, aborting rejects this caller
+// with an AbortError and cancels the network request if nobody else is waiting
+// onRetry is only called while the caller waits - a cancelled caller hears nothing more
+function waitForRequest(cacheKey, entry, signal, onRetry) {
+    entry.waiters++;
+    if (onRetry) {
+        entry.retryListeners.push(onRetry);
+    }
+    if (!signal) return entry.promise;
+    
+    const releaseWaiter = () => {
+        entry.waiters--;
+        // Remove this caller's listener only - another caller may have passed the same function
+        const listenerIndex = entry.retryListeners.indexOf(onRetry);
+        if (onRetry && listenerIndex !== -1) {
+            entry.retryListeners.splice(listenerIndex, 1);
+        }
+        if (entry.waiters === 0) {
+            entry.controller.abort();
+            inFlightRequests.delete(cacheKey);
+        }
+    };
+    
+    if (signal.aborted) {
+        releaseWaiter();
+        return Promise.reject(createAbortError());
+    }
+    
+    return new Promise((resolve, reject) => {
+        const onAbort = () => {
+            releaseWaiter();
+            reject(createAbortError());
+        };
+        signal.addEventListener('abort', onAbort, { once: true });
+        entry.promise
+            .then(resolve, reject)
+            .finally(() => signal.removeEventListener('abort', onAbort));
+    });
+}
+
+// Load a resource from the persistent tier or the network
 // 'async' keyword allows us to use 'await' inside this function
 // This makes asynchronous code look and behave more like synchronous code
-export async function fetchPokemon(pokemonName) {
+async function loadResource(resourcePath, cacheKey, notFoundMessage, priority, entry) {
+    const signal = entry.controller.signal;
+    
     // try/catch block for comprehensive error handling
     // 'try' contains code that might fail, 'catch' handles any errors
     try {
-        // Data sanitization - clean user input to prevent issues
-        // toString() ensures we can handle both strings and numbers
-        // toLowerCase() makes search case-insensitive
-        // trim() removes leading/trailing whitespace
-        const cleanName = pokemonName.toString().toLowerCase().trim();
-        
-        // Cache check - avoid unnecessary API calls for better performance
-        // Map.has() is O(1) operation - very fast lookup
-        if (pokemonCache.has(cleanName)) {
-            console.log('Using cached data for:', cleanName);
-            return pokemonCache.get(cleanName);
+        const persistentData = await getPersistentEntry(cacheKey);
+        if (persistentData) {
+            console.log('Using persisted data for:', resourcePath);
+            setMemoryEntry(cacheKey, persistentData);
+            return persistentData;
         }
         
-        console.log('Fetching Pokémon:', cleanName);
+        // Retry loop - every attempt waits for a free slot in the scheduler,
+        // and the slot is given back while we back off between attempts
+        for (let attempt = 0; ; attempt++) {
+            try {
+                const data = await scheduleRequest(cacheKey, () => requestResource(resourcePath, notFoundMessage, signal), priority);
+                console.log('Data received for:', resourcePath);
+                
+                // Store in both cache tiers for future use - improves performance
+                // The persistent write is not awaited so the UI never waits on IndexedDB
+                if (entry.shouldStore) {
+                    setMemoryEntry(cacheKey, data);
+                    setPersistentEntry(cacheKey, data);
+                }
+                
+                return data;
+            } catch (error) {
+                if (attempt >= requestSettings.maxRetries || !isRetryableError(error)) {
+                    throw error;
+                }
+                
+                // Exponential backoff, or the server's own Retry-After hint for 429 responses
+                const delay = error.retryAfter ?? requestSettings.retryBaseDelay * 2 ** attempt;
+                console.warn(`Retrying ${resourcePath} in ${delay}ms (attempt ${attempt + 1} of ${requestSettings.maxRetries}):`, error.message);
+                entry.retryListeners.forEach(listener => listener({
+                    attempt: attempt + 1,
+                    maxRetries: requestSettings.maxRetries,
+                    delay,
+                    error
+                }));
+                await wait(delay, signal);
+            }
+        }
         
-        // Fetch API call - modern way to make HTTP requests
+    } catch (error) {
+        // Error handling - catch any errors from the try block
+        // This includes network errors, JSON parsing errors, or custom thrown errors
+        // Cancelled requests are expected, so they are not logged as failures
+        if (!isAbortError(error)) {
+            console.error(`Error fetching ${resourcePath}:`, error);
+        }
+        throw error; // Re-throw to let the caller handle the error display
+    }
+}
+
+// The actual network call - runs inside a scheduler slot
+// Each attempt gets its own timeout, and also stops when the shared request is cancelled
+async function requestResource(resourcePath, notFoundMessage, signal) {
+    if (signal.aborted) throw createAbortError();
+    
+    console.log('Fetching:', resourcePath);
+    
+    const attemptController = new AbortController();
+    const forwardAbort = () => attemptController.abort();
+    signal.addEventListener('abort', forwardAbort, { once: true });
+    let timedOut = false;
+    const timeoutId = setTimeout(() => {
+        timedOut = true;
+        attemptController.abort();
+    }, requestSettings.timeout);
+    
+    try {
+        // Fetch API call through the data source - modern way to make HTTP requests
         // 'await' pauses execution until the Promise resolves
-        // Template literal (${}) injects the cleanName into the URL
-        const response = await fetch(`${POKEMON_ENDPOINT}/${cleanName}`);
+        const response = await fetchFromDataSource(resourcePath, {
+            signal: attemptController.signal
+        });
         
         // HTTP status code checking - fetch doesn't reject on 4xx/5xx by default
         // response.ok is true for status codes 200-299
         if (!response.ok) {
             // Handle specific error cases for better user experience
+            const label = RESOURCE_LABELS[resourcePath.split('/')[0]] || 'resource';
             if (response.status === 404) {
-                throw new Error(`Pokémon "${pokemonName}" not found! Try a different name or ID.`);
-            } else {
-                throw new Error(`Failed to fetch Pokémon data (Status: ${response.status})`);
+                throw createHttpError(notFoundMessage || `${label} not found! (${resourcePath})`, 404);
+            }
+            
+            const error = createHttpError(`Failed to fetch ${label} data (Status: ${response.status})`, response.status);
+            const retryAfter = Number(response.headers?.get('Retry-After'));
+            if (retryAfter > 0) {
+                error.retryAfter = retryAfter * 1000;
             }
+            throw error;
         }
         
         // Parse JSON response - convert response body to JavaScript object
         // This is also asynchronous, so we use await
-        const pokemonData = await response.json();
-        console.log('Pokémon data received:', pokemonData);
-        
-        // Store in cache for future use - improves performance
-        // Using the cleaned name as key ensures consistency
-        pokemonCache.set(cleanName, pokemonData);
-        
-        return pokemonData;
+        return await response.json();
         
     } catch (error) {
-        // Error handling - catch any errors from the try block
-        // This includes network errors, JSON parsing errors, or custom thrown errors
-        console.error('Error fetching Pokémon:', error);
-        throw error; // Re-throw to let the caller handle the error display
+        // Our own timeout also surfaces as an AbortError - turn it into a retryable error
+        if (timedOut) {
+            throw new Error(`Request timed out after ${requestSettings.timeout / 1000}s`);
+        }
+        throw error;
+    } finally {
+        clearTimeout(timeoutId);
+        signal.removeEventListener('abort', forwardAbort);
+    }
+}
+
+// Generic fetch for any endpoint by name or ID, e.g. fetchResource('move', 'tackle')
+// Accepts the same options as fetchCachedResource (priority, signal, onRetry, cache)
+export function fetchResource(endpoint, idOrName, options = {}) {
+    // Data sanitization - clean user input to prevent issues
+    // toString() ensures we can handle both strings and numbers
+    // toLowerCase() makes search case-insensitive
+    // trim() removes leading/trailing whitespace
+    const cleanName = idOrName.toString().toLowerCase().trim();
+    const label = RESOURCE_LABELS[endpoint] || capitalizeEndpoint(endpoint);
+    return fetchCachedResource(`${endpoint}/${cleanName}`, `${label} "${idOrName}" not found!`, options);
+}
+
+// Generic fetch by URL - for the URLs PokéAPI embeds in its own responses
+// (species.url, evolution_chain.url, move.url, ...)
+// Paths double as cache keys, so a resource fetched by URL and by name/ID share one entry
+export function fetchByUrl(url, options = {}) {
+    return fetchCachedResource(toResourcePath(url), undefined, options);
+}
+
+// Main function to fetch Pokémon data from the API
+export function fetchPokemon(pokemonName, options = {}) {
+    const cleanName = pokemonName.toString().toLowerCase().trim();
+    return fetchCachedResource(`pokemon/${cleanName}`, `Pokémon "${pokemonName}" not found! Try a different name or ID.`, options);
+}
+
+// List endpoints - e.g. fetchResourceList('pokemon', { limit: 20, offset: 40 })
+// Each page is cached under its own query string, like any other resource
+export function fetchResourceList(endpoint, { limit = 20, offset = 0 } = {}, options = {}) {
+    return fetchCachedResource(`${endpoint}?limit=${limit}&offset=${offset}`, undefined, options);
+}
+
+// Typed helpers for the other endpoints used across the app
+export function fetchSpecies(idOrName, options = {}) {
+    return fetchResource('pokemon-species', idOrName, options);
+}
+
+export function fetchEvolutionChain(id, options = {}) {
+    return fetchResource('evolution-chain', id, options);
+}
+
+export function fetchMove(idOrName, options = {}) {
+    return fetchResource('move', idOrName, options);
+}
+
+export function fetchType(idOrName, options = {}) {
+    return fetchResource('type', idOrName, options);
+}
+
+export function fetchAbility(idOrName, options = {}) {
+    return fetchResource('ability', idOrName, options);
+}
+
+export function fetchItem(idOrName, options = {}) {
+    return fetchResource('item', idOrName, options);
+}
+
+export function fetchGeneration(idOrName, options = {}) {
+    return fetchResource('generation', idOrName, options);
+}
+
+// Pokemon by name, or the default form of the species with that name when there is
+// no Pokemon called exactly that - species names like "wormadam" or "aegislash"
+// (from evolution chains or Showdown pastes) belong to forms like "wormadam-plant"
+export async function fetchPokemonOrDefaultForm(name, options = {}) {
+    try {
+        return await fetchPokemon(name, options);
+    } catch (error) {
+        if (error.status !== 404) throw error;
+        const species = await fetchSpecies(name, options);
+        const defaultVariety = species.varieties.find(variety => variety.is_default) || species.varieties[0];
+        return fetchByUrl(defaultVariety.pokemon.url, options);
     }
 }
 
-// Clear cache function for development/debugging
-export function clearPokemonCache() {
-    pokemonCache.clear();
+// Clear both cache tiers - used by the "Clear Cache" control and for debugging
+export async function clearPokemonCache() {
+    responseCache.clear();
+    await clearPersistentCache();
     console.log('Pokemon cache cleared');
 }
 
-// Get cache size for debugging
-export function getCacheSize() {
-    return pokemonCache.size;
+// Get cache size of both tiers
+// Returns entry counts for memory and IndexedDB plus the approximate persisted size in bytes
+export async function getCacheSize() {
+    const persistentStats = await getPersistentCacheStats();
+    return {
+        memory: responseCache.size,
+        persistent: persistentStats.entries,
+        persistentBytes: persistentStats.bytes
+    };
 }
 
 // Preload popular Pokemon for better user experience
+// Runs at LOW priority so a search typed during startup is served first
 export async function preloadPopularPokemon() {
     const popularNames = ['pikachu', 'charizard', 'blastoise', 'venusaur'];
     
-    for (const name of popularNames) {
+    await Promise.all(popularNames.map(async name => {
         try {
-            await fetchPokemon(name);
+            await fetchPokemon(name, { priority: REQUEST_PRIORITY.LOW });
         } catch (error) {
             console.warn(`Failed to preload ${name}:`, error.message);
         }
-    }
+    }));
     
-    console.log(`Preloaded ${getCacheSize()} Pokemon`);
+    const cacheSize = await getCacheSize();
+    console.log(`Preloaded Pokemon - ${cacheSize.memory} in memory, ${cacheSize.persistent} persisted`);
 }
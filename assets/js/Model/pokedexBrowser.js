@@ -0,0 +1,67 @@
+// Pokedex Browser Model - Pages of Pokemon for the browse grid
+// This file turns the /pokemon list endpoint into pages of grid entries and looks up types in bulk
+
+// Import dependencies
+import { fetchResourceList, fetchType, REQUEST_PRIORITY } from './pokeapi.js';
+import { typeEffectiveness, getPokedexRegion } from './pokemonData.js';
+import { createIndexEntry } from './pokemonIndex.js';
+
+// Number of cards loaded per page (a multiple of 2, 3, 4 and 6 keeps grid rows full)
+export const BROWSE_PAGE_SIZE = 24;
+
+// Types of every Pokemon, keyed by name - loaded once, shared by all pages
+let typeMapPromise = null;
+
+// Load one page of a region (or of the whole national dex when regionId is 'all')
+// offset counts from the start of the region, so offset 0 of Johto is #152
+// Resolves to { entries, total, nextOffset, hasMore }
+export async function fetchPokedexPage(regionId, offset = 0, options = {}) {
+    const region = getPokedexRegion(regionId);
+    
+    // Regions are ranges of IDs, which map directly onto list offsets
+    const regionSize = region ? region.lastId - region.firstId + 1 : Infinity;
+    const limit = Math.min(BROWSE_PAGE_SIZE, regionSize - offset);
+    if (limit <= 0) {
+        return { entries: [], total: regionSize, nextOffset: offset, hasMore: false };
+    }
+    
+    const listOffset = region ? region.firstId - 1 + offset : offset;
+    const list = await fetchResourceList('pokemon', { limit, offset: listOffset }, options);
+    
+    const entries = list.results.map(createIndexEntry);
+    const total = region ? regionSize : list.count;
+    const nextOffset = offset + entries.length;
+    
+    return {
+        entries,
+        total,
+        nextOffset,
+        hasMore: entries.length > 0 && nextOffset < total
+    };
+}
+
+// The list endpoint only returns names, and fetching every Pokemon just for its types
+// would take one large request per card. Instead we read the 18 /type resources,
+// which each list all Pokemon of that type, and build a name -> [types] map from them
+export function loadPokemonTypeMap() {
+    if (!typeMapPromise) {
+        const typeNames = Object.keys(typeEffectiveness);
+        typeMapPromise = Promise.all(typeNames.map(typeName => fetchType(typeName, { priority: REQUEST_PRIORITY.LOW })))
+            .then(types => {
+                const typeMap = new Map();
+                types.forEach(type => {
+                    type.pokemon.forEach(({ pokemon, slot }) => {
+                        const pokemonTypes = typeMap.get(pokemon.name) || [];
+                        pokemonTypes[slot - 1] = type.name; // Slot 1 is the primary type
+                        typeMap.set(pokemon.name, pokemonTypes);
+                    });
+                });
+                return typeMap;
+            })
+            .catch(error => {
+                typeMapPromise = null; // Allow a retry on the next call
+                throw error;
+            });
+    }
+    return typeMapPromise;
+}
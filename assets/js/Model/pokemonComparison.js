@@ -0,0 +1,64 @@
+// Pokemon Comparison Model - Stat and type comparisons between several Pokemon
+// This file finds the best and worst value of every stat, the differences to the best,
+// base stat totals and the weaknesses the compared Pokemon have in common
+
+// Import dependencies
+import { ALL_TYPES, getTypeMultiplier } from './typeMatchups.js';
+
+export const MIN_COMPARISON_SIZE = 2;
+export const MAX_COMPARISON_SIZE = 6;
+
+export const COMPARISON_STATS = ['hp', 'attack', 'defense', 'special-attack', 'special-defense', 'speed'];
+
+// "total" is the base stat total (BST), the sum of the six base stats
+export function getStatValue(pokemon, statName) {
+    if (statName === 'total') {
+        return pokemon.stats.reduce((sum, stat) => sum + stat.base_stat, 0);
+    }
+    return pokemon.stats.find(stat => stat.stat.name === statName)?.base_stat ?? 0;
+}
+
+// Compare every stat (and the total) across the Pokemon
+// Returns [{ stat, values, best, worst, deltas }] - deltas are the difference to the best value,
+// so the leader of a stat has a delta of 0 and everyone else a negative number
+export function compareStats(pokemonList) {
+    return [...COMPARISON_STATS, 'total'].map(stat => {
+        const values = pokemonList.map(pokemon => getStatValue(pokemon, stat));
+        const best = Math.max(...values);
+        const worst = Math.min(...values);
+        return {
+            stat,
+            values,
+            best,
+            worst,
+            deltas: values.map(value => value - best)
+        };
+    });
+}
+
+// Sort by a stat, highest first unless direction is 'asc'
+// Returns a new array - ties keep their current order
+export function sortByStat(pokemonList, statName, direction = 'desc') {
+    const sign = direction === 'asc' ? 1 : -1;
+    return [...pokemonList].sort((a, b) => sign * (getStatValue(a, statName) - getStatValue(b, statName)));
+}
+
+// Attacking types that hit at least two of the Pokemon super effectively
+// Returns [{ type, weakPokemon: [names], resistantPokemon: [names] }], most shared first
+// A type that many of the Pokemon are weak to is a risk for a team built from them
+export function getSharedWeaknesses(pokemonList) {
+    return ALL_TYPES
+        .map(type => {
+            const multipliers = pokemonList.map(pokemon => ({
+                name: pokemon.name,
+                multiplier: getTypeMultiplier(type, pokemon.types.map(t => t.type.name))
+            }));
+            return {
+                type,
+                weakPokemon: multipliers.filter(m => m.multiplier > 1).map(m => m.name),
+                resistantPokemon: multipliers.filter(m => m.multiplier < 1).map(m => m.name)
+            };
+        })
+        .filter(weakness => weakness.weakPokemon.length >= 2)
+        .sort((a, b) => b.weakPokemon.length - a.weakPokemon.length);
+}
@@ -36,7 +36,33 @@ export const typeEffectiveness = {
     fairy: { weakTo: ['poison', 'steel'], resistantTo: ['fighting', 'bug', 'dark'], immuneTo: ['dragon'] }
 };
 
+// Regional Pokédex ranges by generation - used by the browse grid and generation filters
+// The national dex is contiguous, so each region is simply a range of IDs
+export const pokedexRegions = [
+    { id: 'kanto', name: 'Kanto', generation: 1, firstId: 1, lastId: 151 },
+    { id: 'johto', name: 'Johto', generation: 2, firstId: 152, lastId: 251 },
+    { id: 'hoenn', name: 'Hoenn', generation: 3, firstId: 252, lastId: 386 },
+    { id: 'sinnoh', name: 'Sinnoh', generation: 4, firstId: 387, lastId: 493 },
+    { id: 'unova', name: 'Unova', generation: 5, firstId: 494, lastId: 649 },
+    { id: 'kalos', name: 'Kalos', generation: 6, firstId: 650, lastId: 721 },
+    { id: 'alola', name: 'Alola', generation: 7, firstId: 722, lastId: 809 },
+    { id: 'galar', name: 'Galar', generation: 8, firstId: 810, lastId: 905 },
+    { id: 'paldea', name: 'Paldea', generation: 9, firstId: 906, lastId: 1025 }
+];
+
+export function getPokedexRegion(regionId) {
+    return pokedexRegions.find(region => region.id === regionId) || null;
+}
+
+// Sprite URLs can be built from the ID alone, which is handy for
+// list views where we only have names and URLs instead of full Pokemon data
+const POKEMON_SPRITE_BASE = 'https://raw.githubusercontent.com/PokeAPI/sprites/master/sprites/pokemon';
+
 // Utility functions for Pokemon data
+export function getPokemonSpriteUrl(pokemonId) {
+    return `${POKEMON_SPRITE_BASE}/${pokemonId}.png`;
+}
+
 export function getRandomPokemonId() {
     // Generate random Pokemon ID between 1 and 1010
     return Math.floor(Math.random() * 1010) + 1;
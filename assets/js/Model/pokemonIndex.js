@@ -0,0 +1,162 @@
+// Pokemon Index Model - Complete list of Pokemon names for autocomplete and suggestions
+// This file loads every Pokemon (including alternate forms like "charizard-mega-x") once
+// and provides fuzzy, typo-tolerant name matching on top of it
+
+// Import dependencies
+import { fetchResourceList, REQUEST_PRIORITY } from './pokeapi.js';
+import { getPokemonSpriteUrl } from './pokemonData.js';
+
+// A limit larger than the number of Pokemon returns the whole list in one request
+// The response is cached like any other resource, so this only hits the network once a week
+const INDEX_LIMIT = 100000;
+
+// Alternate forms (megas, regional variants, ...) use IDs from 10001 upwards
+const FIRST_FORM_ID = 10001;
+
+let pokemonIndex = [];
+let indexPromise = null;
+
+// Load the index once - later calls share the same promise
+export function loadPokemonIndex() {
+    if (!indexPromise) {
+        indexPromise = fetchResourceList('pokemon', { limit: INDEX_LIMIT }, { priority: REQUEST_PRIORITY.LOW })
+            .then(list => {
+                pokemonIndex = list.results.map(createIndexEntry);
+                console.log(`Loaded Pokemon index with ${pokemonIndex.length} entries`);
+                return pokemonIndex;
+            })
+            .catch(error => {
+                indexPromise = null; // Allow a retry on the next call
+                throw error;
+            });
+    }
+    return indexPromise;
+}
+
+export function isPokemonIndexLoaded() {
+    return pokemonIndex.length > 0;
+}
+
+export function getPokemonIndex() {
+    return [...pokemonIndex]; // Return a copy to prevent external modification
+}
+
+// Turn a list result ({ name, url }) into an index entry
+// The ID is the last number in the URL: .../pokemon/445/
+export function createIndexEntry(result) {
+    const id = parseInt(result.url.match(/\/(\d+)\/?$/)[1]);
+    return {
+        id,
+        name: result.name,
+        sprite: getPokemonSpriteUrl(id),
+        isForm: id >= FIRST_FORM_ID
+    };
+}
+
+// Bring user input into the same shape as API names:
+// "Mr. Mime" -> "mr-mime", "charizard mega x" -> "charizard-mega-x"
+export function normalizePokemonQuery(query) {
+    return query.toString()
+        .toLowerCase()
+        .trim()
+        .replace(/[.'’:]/g, '')
+        .replace(/\s+/g, '-');
+}
+
+// Edit distance (optimal string alignment) - the number of single character
+// insertions, deletions, substitutions or swaps needed to turn one string into the other
+// "garhc" -> "garch" is 1 (one swap), "pikachoo" -> "pikachu" is 2
+export function editDistance(a, b) {
+    const rows = a.length + 1;
+    const cols = b.length + 1;
+    const distances = Array.from({ length: rows }, (_, i) => [i, ...new Array(cols - 1).fill(0)]);
+    for (let j = 0; j < cols; j++) distances[0][j] = j;
+    
+    for (let i = 1; i < rows; i++) {
+        for (let j = 1; j < cols; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            distances[i][j] = Math.min(
+                distances[i - 1][j] + 1,        // Deletion
+                distances[i][j - 1] + 1,        // Insertion
+                distances[i - 1][j - 1] + cost  // Substitution
+            );
+            // Transposition of two neighbouring characters
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                distances[i][j] = Math.min(distances[i][j], distances[i - 2][j - 2] + 1);
+            }
+        }
+    }
+    
+    return distances[a.length][b.length];
+}
+
+// How many typos we forgive - short queries must be nearly exact
+function maxTyposFor(query) {
+    if (query.length <= 3) return 0;
+    if (query.length <= 5) return 1;
+    return 2;
+}
+
+// Rank how well a name matches the query - lower is better, null means no match
+// 0 exact, 1 prefix, 2 word prefix ("mega" in "charizard-mega-x"), 3 substring,
+// 4+ fuzzy prefix match with typos (the number of typos is added)
+function scoreName(name, query) {
+    if (name === query) return 0;
+    if (name.startsWith(query)) return 1;
+    if (name.split('-').some(part => part.startsWith(query))) return 2;
+    if (name.includes(query)) return 3;
+    
+    const maxTypos = maxTyposFor(query);
+    if (maxTypos === 0) return null;
+    
+    // Compare against the start of the name, allowing it to be one character
+    // shorter or longer than the query to cover missing or extra letters
+    let bestDistance = Infinity;
+    for (let length = query.length - 1; length <= query.length + 1; length++) {
+        bestDistance = Math.min(bestDistance, editDistance(query, name.slice(0, length)));
+    }
+    
+    return bestDistance <= maxTypos ? 4 + bestDistance : null;
+}
+
+// Fuzzy search over the full index
+// Results are ranked by match quality, then base forms before alternate forms,
+// then shorter names, then Pokédex order
+export function searchPokemonIndex(query, limit = 8) {
+    const cleanQuery = normalizePokemonQuery(query);
+    if (!cleanQuery) return [];
+    
+    return pokemonIndex
+        .map(entry => ({ entry, score: scoreName(entry.name, cleanQuery) }))
+        .filter(match => match.score !== null)
+        .sort((a, b) =>
+            a.score - b.score ||
+            Number(a.entry.isForm) - Number(b.entry.isForm) ||
+            a.entry.name.length - b.entry.name.length ||
+            a.entry.id - b.entry.id
+        )
+        .slice(0, limit)
+        .map(match => match.entry);
+}
+
+// "Did you mean…?" suggestions for a name that was not found
+// Unlike the autocomplete search, the whole name is compared, so "pikachoo"
+// suggests "pikachu" rather than every name starting with "pik"
+export function findClosestPokemonNames(query, limit = 3) {
+    const cleanQuery = normalizePokemonQuery(query);
+    if (!cleanQuery) return [];
+    
+    // Allow roughly one typo for every three letters, but at least two
+    const maxDistance = Math.max(2, Math.round(cleanQuery.length / 3));
+    
+    return pokemonIndex
+        .map(entry => ({ entry, distance: editDistance(cleanQuery, entry.name) }))
+        .filter(match => match.distance <= maxDistance)
+        .sort((a, b) =>
+            a.distance - b.distance ||
+            Number(a.entry.isForm) - Number(b.entry.isForm) ||
+            a.entry.id - b.entry.id
+        )
+        .slice(0, limit)
+        .map(match => match.entry);
+}
@@ -0,0 +1,227 @@
+// Quiz Modes Model - Question kinds, Pokémon pools and difficulty levels for the quiz
+// This file describes every quiz mode and builds questions from loaded Pokemon data,
+// so quizQuestions.js only has to fetch the Pokemon a question needs
+
+// Import dependencies
+import { pokedexRegions } from './pokemonData.js';
+import { ALL_TYPES } from './typeMatchups.js';
+
+// Points for a right answer
+export const CORRECT_ANSWER_POINTS = 10;
+
+// How long a blitz game lasts
+export const BLITZ_SECONDS = 60;
+
+// What the player has to guess
+// "speed" always compares two Pokemon, the other kinds use the difficulty's number of options
+export const QUIZ_KINDS = {
+    silhouette: { name: "Who's That Pokémon?", icon: '👤', prompt: "Who's that Pokémon?" },
+    type: { name: 'Which type is this?', icon: '🏷️', prompt: 'Which type is this Pokémon?' },
+    speed: { name: 'Which has higher Speed?', icon: '💨', prompt: 'Which Pokémon has the higher base Speed?' },
+    entry: { name: 'Guess from the Pokédex entry', icon: '📖', prompt: 'Which Pokémon does this Pokédex entry describe?' }
+};
+
+// More options and a harder to read sprite on each level
+// sprite is the CSS class of the mystery sprite in "Who's That Pokémon?" questions:
+// a clear silhouette, a blurred sprite, or a blurred silhouette without a sharp outline
+export const QUIZ_DIFFICULTIES = {
+    easy: { name: 'Easy', optionCount: 4, sprite: 'silhouette' },
+    normal: { name: 'Normal', optionCount: 6, sprite: 'blurred' },
+    hard: { name: 'Hard', optionCount: 8, sprite: 'blurred-silhouette' }
+};
+
+// Every Pokemon, or one generation's regional Pokédex
+export const QUIZ_POOLS = [
+    { id: 'all', name: 'All generations', firstId: 1, lastId: pokedexRegions[pokedexRegions.length - 1].lastId },
+    ...pokedexRegions.map(region => ({
+        id: region.id,
+        name: `Gen ${region.generation} · ${region.name}`,
+        firstId: region.firstId,
+        lastId: region.lastId
+    }))
+];
+
+// practice: ask about the Pokemon the player often gets wrong more often (see quizStats.js)
+export const DEFAULT_QUIZ_MODE = { kind: 'silhouette', pool: 'all', difficulty: 'easy', blitz: false, practice: false };
+
+// =============================================================================
+// MODES
+// =============================================================================
+
+export function getQuizPool(poolId) {
+    return QUIZ_POOLS.find(pool => pool.id === poolId) || null;
+}
+
+// Fill in defaults for anything missing or unknown, e.g. a mode saved by an older version
+export function normalizeQuizMode(mode = {}) {
+    return {
+        kind: QUIZ_KINDS[mode.kind] ? mode.kind : DEFAULT_QUIZ_MODE.kind,
+        pool: getQuizPool(mode.pool) ? mode.pool : DEFAULT_QUIZ_MODE.pool,
+        difficulty: QUIZ_DIFFICULTIES[mode.difficulty] ? mode.difficulty : DEFAULT_QUIZ_MODE.difficulty,
+        blitz: Boolean(mode.blitz),
+        practice: Boolean(mode.practice)
+    };
+}
+
+// Scores are kept per mode under this key, e.g. "type/kanto/hard/blitz"
+export function getQuizModeKey(mode) {
+    const { kind, pool, difficulty, blitz, practice } = normalizeQuizMode(mode);
+    return [kind, pool, difficulty, ...(blitz ? ['blitz'] : []), ...(practice ? ['practice'] : [])].join('/');
+}
+
+export function parseQuizModeKey(key) {
+    const [kind, pool, difficulty, ...flags] = String(key).split('/');
+    return normalizeQuizMode({ kind, pool, difficulty, blitz: flags.includes('blitz'), practice: flags.includes('practice') });
+}
+
+// "Which type is this? · Gen 1 · Kanto · Hard · Blitz"
+export function describeQuizMode(mode) {
+    const { kind, pool, difficulty, blitz, practice } = normalizeQuizMode(mode);
+    return [
+        QUIZ_KINDS[kind].name,
+        getQuizPool(pool).name,
+        QUIZ_DIFFICULTIES[difficulty].name,
+        ...(blitz ? ['Blitz'] : []),
+        ...(practice ? ['Practice'] : [])
+    ].join(' · ');
+}
+
+// How many Pokemon a question of this mode needs
+export function getQuizPokemonCount(mode) {
+    const { kind, difficulty } = normalizeQuizMode(mode);
+    if (kind === 'speed') return 2;
+    if (kind === 'type') return 1;
+    return QUIZ_DIFFICULTIES[difficulty].optionCount;
+}
+
+// =============================================================================
+// PICKING POKEMON
+// =============================================================================
+
+// Shuffled copy of a list (Fisher-Yates)
+// random works like Math.random() - pass a seeded one to get the same order every time
+export function shuffleList(list, random = Math.random) {
+    const shuffled = [...list];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+}
+
+// count different Pokedex numbers from the pool, leaving out the IDs in exclude
+export function pickPoolIds(poolId, count, random = Math.random, exclude = []) {
+    const pool = getQuizPool(poolId) || getQuizPool(DEFAULT_QUIZ_MODE.pool);
+    const size = pool.lastId - pool.firstId + 1;
+    const ids = [];
+    
+    // Drawing and retrying is fast because a question needs far fewer IDs than a pool has
+    while (ids.length < count && ids.length + exclude.length < size) {
+        const id = pool.firstId + Math.floor(random() * size);
+        if (!ids.includes(id) && !exclude.includes(id)) {
+            ids.push(id);
+        }
+    }
+    return ids;
+}
+
+// =============================================================================
+// BUILDING QUESTIONS
+// =============================================================================
+// A question is { kind, subject, options: [{ label, pokemon }], answerIndex, entry }
+// subject is the Pokemon the question is about (the first option's Pokemon for speed questions)
+
+// "Fire / Flying"
+export function formatTypeCombination(types) {
+    return types.map(type => type.charAt(0).toUpperCase() + type.slice(1)).join(' / ');
+}
+
+function getTypeNames(pokemon) {
+    return pokemon.types.map(typeInfo => typeInfo.type.name);
+}
+
+// pokemonList[0] is the answer, the rest are the other options
+export function createNameQuestion(kind, pokemonList, random = Math.random, entry = null) {
+    const [subject] = pokemonList;
+    const options = shuffleList(pokemonList, random).map(pokemon => ({ label: pokemon.name, pokemon }));
+    
+    return {
+        kind,
+        subject,
+        options,
+        answerIndex: options.findIndex(option => option.pokemon === subject),
+        entry
+    };
+}
+
+// The right type combination and made-up ones with the same number of types,
+// so single-type answers can't be spotted by their length
+export function createTypeQuestion(pokemon, optionCount, random = Math.random) {
+    const answerTypes = getTypeNames(pokemon);
+    const answer = formatTypeCombination(answerTypes);
+    const labels = [answer];
+    // "Fire / Flying" and "Flying / Fire" are the same answer
+    const combinations = new Set([[...answerTypes].sort().join('/')]);
+    
+    while (labels.length < optionCount) {
+        const types = shuffleList(ALL_TYPES, random).slice(0, answerTypes.length);
+        const combination = [...types].sort().join('/');
+        if (!combinations.has(combination)) {
+            combinations.add(combination);
+            labels.push(formatTypeCombination(types));
+        }
+    }
+    
+    const options = shuffleList(labels, random).map(label => ({ label, pokemon: null }));
+    return {
+        kind: 'type',
+        subject: pokemon,
+        options,
+        answerIndex: options.findIndex(option => option.label === answer),
+        entry: null
+    };
+}
+
+export function getBaseSpeed(pokemon) {
+    return pokemon.stats.find(stat => stat.stat.name === 'speed')?.base_stat ?? 0;
+}
+
+// Two Pokemon with different base Speed - returns null on a tie, so the caller can draw again
+export function createSpeedQuestion(pokemonList) {
+    const [first, second] = pokemonList;
+    if (getBaseSpeed(first) === getBaseSpeed(second)) return null;
+    
+    return {
+        kind: 'speed',
+        subject: first,
+        options: pokemonList.map(pokemon => ({ label: pokemon.name, pokemon })),
+        answerIndex: getBaseSpeed(first) > getBaseSpeed(second) ? 0 : 1,
+        entry: null
+    };
+}
+
+// An English Pokédex entry with the Pokemon's name blanked out, or null when there is none
+// Entries keep the line breaks and form feeds of the game's text boxes
+export function getPokedexEntry(species) {
+    const entries = species.flavor_text_entries.filter(entry => entry.language.name === 'en');
+    if (entries.length === 0) return null;
+    
+    // The newest entry is last, and newer games describe Pokemon in more detail
+    const text = entries[entries.length - 1].flavor_text
+        .replace(/\u00ad\n/g, '') // A soft hyphen at a line break joins the two halves of a word
+        .replace(/\s+/g, ' ')
+        .trim();
+    const names = species.name.split('-').filter(part => part.length > 2);
+    return names.reduce((redacted, name) => redacted.replace(new RegExp(name, 'gi'), '?????'), text);
+}
+
+// The Pokemon whose right/wrong count an answer changes - both Pokemon of a speed question
+export function getQuestionPokemon(question) {
+    return question.kind === 'speed'
+        ? question.options.map(option => option.pokemon)
+        : [question.subject];
+}
+
+export function isCorrectAnswer(question, optionIndex) {
+    return optionIndex === question.answerIndex;
+}
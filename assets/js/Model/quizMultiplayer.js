@@ -0,0 +1,134 @@
+// Quiz Multiplayer Model - Hot-seat quiz matches for several players on one device
+// This file keeps the players and their scores, whose turn it is or who buzzed in first,
+// and ranks everyone for the podium at the end
+//
+// Two styles of play:
+//   turns - every round, each player answers one question of their own
+//   buzz  - every round is one question for everyone, the first to press their key answers;
+//           a wrong answer costs points and locks that player out until the next question
+
+// Import dependencies
+import { CORRECT_ANSWER_POINTS } from './quizModes.js';
+
+export const MIN_PLAYERS = 2;
+export const MAX_PLAYERS = 8;
+export const DEFAULT_ROUNDS = 5;
+export const MAX_ROUNDS = 20;
+
+// Points lost for buzzing in with a wrong answer, so guessing doesn't pay off
+export const BUZZ_PENALTY = 5;
+
+// One key per player, spread over the keyboard so up to eight people can share it
+export const BUZZ_KEYS = ['q', 'p', 'z', 'm', '1', '0', 'c', 'n'];
+
+export const MATCH_STYLES = {
+    turns: { name: 'Take turns', icon: '🔁' },
+    buzz: { name: 'Buzz in', icon: '🔔' }
+};
+
+// names: the players in turn order - throws an Error with a readable message for an invalid setup
+export function createMatch(names, rounds, style) {
+    const players = names.map(name => name.trim());
+    if (players.length < MIN_PLAYERS || players.length > MAX_PLAYERS) {
+        throw new Error(`A match needs ${MIN_PLAYERS} to ${MAX_PLAYERS} players.`);
+    }
+    if (players.some(name => !name)) {
+        throw new Error('Every player needs a name.');
+    }
+    if (new Set(players.map(name => name.toLowerCase())).size < players.length) {
+        throw new Error('Every player needs a different name.');
+    }
+    if (!Number.isInteger(rounds) || rounds < 1 || rounds > MAX_ROUNDS) {
+        throw new Error(`Pick 1 to ${MAX_ROUNDS} rounds.`);
+    }
+    
+    return {
+        players: players.map((name, index) => ({ name, key: BUZZ_KEYS[index], score: 0, correct: 0 })),
+        rounds,
+        style: MATCH_STYLES[style] ? style : 'turns',
+        questionNumber: 0, // The question being played, from 1
+        buzzedPlayer: null, // Index of the player who buzzed in and has to answer
+        lockedOut: [] // Players who already answered the current question wrong
+    };
+}
+
+export function getMatchQuestionCount(match) {
+    return match.style === 'turns' ? match.rounds * match.players.length : match.rounds;
+}
+
+export function getMatchRound(match) {
+    return match.style === 'turns'
+        ? Math.ceil(match.questionNumber / match.players.length)
+        : match.questionNumber;
+}
+
+export function isMatchOver(match) {
+    return match.questionNumber >= getMatchQuestionCount(match);
+}
+
+export function startNextQuestion(match) {
+    match.questionNumber++;
+    match.buzzedPlayer = null;
+    match.lockedOut = [];
+}
+
+// The player who answers now - in buzz matches nobody until someone buzzes in
+export function getAnsweringPlayer(match) {
+    if (match.style === 'turns') {
+        return (match.questionNumber - 1) % match.players.length;
+    }
+    return match.buzzedPlayer;
+}
+
+// The player whose buzz key this is, or -1
+export function findBuzzPlayer(match, key) {
+    return match.players.findIndex(player => player.key === key.toLowerCase());
+}
+
+// Returns true when the player may answer - only the first buzz counts
+export function buzzIn(match, playerIndex) {
+    if (match.style !== 'buzz' || match.buzzedPlayer !== null) return false;
+    if (!match.players[playerIndex] || match.lockedOut.includes(playerIndex)) return false;
+    
+    match.buzzedPlayer = playerIndex;
+    return true;
+}
+
+// Score the answering player's answer
+// Returns { playerIndex, points, isQuestionOver } - a wrong buzz-in leaves the question open
+// for the other players until everyone is locked out
+export function scoreMatchAnswer(match, isCorrect) {
+    const playerIndex = getAnsweringPlayer(match);
+    const player = match.players[playerIndex];
+    
+    if (isCorrect) {
+        player.score += CORRECT_ANSWER_POINTS;
+        player.correct++;
+        return { playerIndex, points: CORRECT_ANSWER_POINTS, isQuestionOver: true };
+    }
+    
+    if (match.style === 'turns') {
+        return { playerIndex, points: 0, isQuestionOver: true };
+    }
+    
+    player.score -= BUZZ_PENALTY;
+    match.lockedOut.push(playerIndex);
+    match.buzzedPlayer = null;
+    return {
+        playerIndex,
+        points: -BUZZ_PENALTY,
+        isQuestionOver: match.lockedOut.length === match.players.length
+    };
+}
+
+// Players from best to worst - equal scores share a place (1st, 1st, 3rd)
+export function getMatchRanking(match) {
+    const sorted = match.players
+        .map((player, index) => ({ ...player, index }))
+        .sort((a, b) => b.score - a.score || b.correct - a.correct || a.index - b.index);
+    
+    return sorted.map(player => ({
+        ...player,
+        place: sorted.findIndex(other => other.score === player.score) + 1
+    }));
+}
@@ -0,0 +1,161 @@
+// Quiz Questions Model - Loads the Pokémon for quiz questions of any mode
+// This file draws the Pokedex numbers a question needs (favouring missed Pokemon in
+// practice games), fetches them and builds the question, drawing again when it can't be used.
+// It also keeps a few questions of the mode being played prepared in the background, and
+// remembers which Pokemon were already asked this session so they don't come up again
+
+// Import dependencies
+import { fetchPokemon, fetchSpecies, REQUEST_PRIORITY } from './pokeapi.js';
+import {
+    QUIZ_DIFFICULTIES,
+    getQuizModeKey,
+    getQuizPokemonCount,
+    getQuizPool,
+    pickPoolIds,
+    createNameQuestion,
+    createTypeQuestion,
+    createSpeedQuestion,
+    getPokedexEntry,
+    getQuestionPokemon
+} from './quizModes.js';
+import { PRACTICE_MISS_CHANCE, pickMissedPokemonId } from './quizStats.js';
+
+// A speed tie or a Pokemon without a Pokédex entry can't make a question - draw again this often
+const MAX_QUESTION_ATTEMPTS = 5;
+
+// How many questions of a mode are prepared ahead of the one being played
+const QUESTION_BUFFER_SIZE = 3;
+
+// Pokedex numbers asked this session - a question's Pokemon count once it is taken from the buffer
+const askedPokemonIds = new Set();
+
+// The questions prepared for the mode being played (Promises), dropped when another mode is played
+// reservedIds are the Pokemon those questions ask, so they don't ask the same ones
+let questionBuffer = { modeKey: null, questions: [], reservedIds: new Set() };
+
+// Load the Pokemon a question of this mode needs and build it
+// random works like Math.random() and decides which Pokemon are asked and the order of the options
+// options.askedIds - a Set of Pokedex numbers not to ask
+// options.reservedIds - a Set of Pokedex numbers not to ask either, the ones this question asks are added to it
+// options.priority - a REQUEST_PRIORITY value for loading the Pokemon
+export async function createQuizQuestion(mode, random = Math.random, options = {}) {
+    const { askedIds = null, reservedIds = null, priority = REQUEST_PRIORITY.HIGH } = options;
+    
+    for (let attempt = 0; attempt < MAX_QUESTION_ATTEMPTS; attempt++) {
+        const { ids, reserved } = pickQuestionIds(mode, random, askedIds, reservedIds);
+        let question = null;
+        try {
+            const pokemonList = await Promise.all(ids.map(id => fetchPokemon(String(id), { priority })));
+            question = await buildQuestion(mode, random, ids, pokemonList, priority);
+        } finally {
+            // Pokemon that didn't make it into a question are free again
+            if (!question) {
+                reserved.forEach(id => reservedIds.delete(id));
+            }
+        }
+        if (question) return question;
+    }
+    throw new Error(`Could not build a ${mode.kind} question`);
+}
+
+// The question from the loaded Pokemon, or null when they can't make one
+async function buildQuestion(mode, random, ids, pokemonList, priority) {
+    switch (mode.kind) {
+        case 'type':
+            return createTypeQuestion(pokemonList[0], QUIZ_DIFFICULTIES[mode.difficulty].optionCount, random);
+        case 'speed':
+            return createSpeedQuestion(pokemonList);
+        case 'entry': {
+            const entry = getPokedexEntry(await fetchSpecies(ids[0], { priority }));
+            return entry ? createNameQuestion('entry', pokemonList, random, entry) : null;
+        }
+        default:
+            return createNameQuestion('silhouette', pokemonList, random);
+    }
+}
+
+// Pokedex numbers for one question - the first one is the answer
+// Practice games often put a Pokemon the player got wrong before in that place
+// Only the Pokemon a question is about have to be new - the wrong options may be asked ones,
+// and so may missed Pokemon, since asking them again is what practising is for
+// Returns { ids, reserved } - reserved are the IDs newly added to reservedIds
+function pickQuestionIds(mode, random, askedIds, reservedIds) {
+    const count = getQuizPokemonCount(mode);
+    const askedCount = mode.kind === 'speed' ? count : 1;
+    const pool = getQuizPool(mode.pool);
+    const asked = getAskedPoolIds(pool, askedIds, reservedIds, askedCount);
+    
+    const missedId = mode.practice && random() < PRACTICE_MISS_CHANCE
+        ? pickMissedPokemonId(pool.firstId, pool.lastId, random)
+        : null;
+    const askedPicks = missedId
+        ? [missedId, ...pickPoolIds(mode.pool, askedCount - 1, random, [...new Set([...asked, missedId])])]
+        : pickPoolIds(mode.pool, askedCount, random, asked);
+    
+    const reserved = reservedIds ? askedPicks.filter(id => !reservedIds.has(id)) : [];
+    reserved.forEach(id => reservedIds.add(id));
+    
+    return {
+        ids: [...askedPicks, ...pickPoolIds(mode.pool, count - askedCount, random, askedPicks)],
+        reserved
+    };
+}
+
+// The asked and reserved Pokemon of a pool - once too few new ones are left, the pool starts over
+function getAskedPoolIds(pool, askedIds, reservedIds, count) {
+    const isInPool = id => id >= pool.firstId && id <= pool.lastId;
+    const asked = [...(askedIds || [])].filter(isInPool);
+    const reserved = [...(reservedIds || [])].filter(isInPool);
+    const size = pool.lastId - pool.firstId + 1;
+    if (size - asked.length - reserved.length >= count) return [...asked, ...reserved];
+    
+    asked.forEach(id => askedIds.delete(id));
+    return reserved;
+}
+
+// =============================================================================
+// QUESTION BUFFER
+// =============================================================================
+
+// The next question of a mode - usually already prepared, so it shows at once
+// Taking one starts preparing the next ones in the background;
+// onPrepared(question) is called for every question as soon as it is ready, e.g. to preload images
+export async function takeQuizQuestion(mode, onPrepared = () => {}) {
+    const buffer = getQuestionBuffer(mode);
+    const nextQuestion = buffer.questions.shift() || prepareQuestion(mode, buffer, REQUEST_PRIORITY.HIGH, onPrepared);
+    
+    while (buffer.questions.length < QUESTION_BUFFER_SIZE) {
+        buffer.questions.push(prepareQuestion(mode, buffer, REQUEST_PRIORITY.LOW, onPrepared));
+    }
+    
+    const question = await nextQuestion;
+    // Only a question that is taken asks its Pokemon - prepared ones that are dropped don't use them up
+    getQuestionPokemon(question).forEach(pokemon => {
+        buffer.reservedIds.delete(pokemon.id);
+        askedPokemonIds.add(pokemon.id);
+    });
+    return question;
+}
+
+// Playing another mode drops the questions prepared for the previous one, and their reservations
+function getQuestionBuffer(mode) {
+    const modeKey = getQuizModeKey(mode);
+    if (questionBuffer.modeKey !== modeKey) {
+        questionBuffer = { modeKey, questions: [], reservedIds: new Set() };
+    }
+    return questionBuffer;
+}
+
+function prepareQuestion(mode, buffer, priority, onPrepared) {
+    const question = createQuizQuestion(mode, Math.random, {
+        askedIds: askedPokemonIds,
+        reservedIds: buffer.reservedIds,
+        priority
+    });
+    question.then(onPrepared, error => {
+        // Reported when the question is taken - until then it only waits in the buffer
+        console.warn('Could not prepare a quiz question:', error.message);
+    });
+    return question;
+}
+
@@ -0,0 +1,112 @@
+// Quiz Stats Model - Saved quiz history: high scores per mode and accuracy per Pokémon
+// This file keeps the best score, best streak and number of games of every quiz mode,
+// and how often each Pokemon was answered right or wrong, in localStorage
+
+const STORAGE_KEY = 'pokemonQuizStats';
+
+// How many of the most missed Pokemon the stats panel lists
+export const MISSED_POKEMON_LIMIT = 10;
+
+// In "practice my misses" games, about this share of the questions is about a missed Pokemon
+export const PRACTICE_MISS_CHANCE = 0.5;
+
+// { modes: { [modeKey]: { bestScore, bestStreak, gamesPlayed } }, pokemon: { [id]: { name, right, wrong } } }
+let quizStats = loadQuizStats();
+
+function loadQuizStats() {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return {
+        modes: saved?.modes || {},
+        pokemon: saved?.pokemon || {}
+    };
+}
+
+function saveQuizStats() {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(quizStats));
+}
+
+// =============================================================================
+// MODES
+// =============================================================================
+
+export function getModeStats(modeKey) {
+    return { bestScore: 0, bestStreak: 0, gamesPlayed: 0, ...quizStats.modes[modeKey] };
+}
+
+// Every mode played so far, most played first
+export function getAllModeStats() {
+    return Object.keys(quizStats.modes)
+        .map(key => ({ key, ...getModeStats(key) }))
+        .sort((a, b) => b.gamesPlayed - a.gamesPlayed || b.bestScore - a.bestScore);
+}
+
+// Count a game - called on its first answer, so games that were never played don't count
+export function recordQuizGame(modeKey) {
+    const stats = getModeStats(modeKey);
+    stats.gamesPlayed++;
+    quizStats.modes[modeKey] = stats;
+    saveQuizStats();
+}
+
+// Keep the best score and streak up to date after every answer,
+// so a high score counts even if the page is closed in the middle of a game
+export function updateModeBests(modeKey, score, streak) {
+    const stats = getModeStats(modeKey);
+    if (score <= stats.bestScore && streak <= stats.bestStreak) return;
+    
+    stats.bestScore = Math.max(stats.bestScore, score);
+    stats.bestStreak = Math.max(stats.bestStreak, streak);
+    quizStats.modes[modeKey] = stats;
+    saveQuizStats();
+}
+
+// =============================================================================
+// POKEMON ACCURACY
+// =============================================================================
+
+// pokemonList: the Pokemon a question was about
+export function recordPokemonAnswer(pokemonList, isCorrect) {
+    pokemonList.forEach(pokemon => {
+        const stats = quizStats.pokemon[pokemon.id] || { name: pokemon.name, right: 0, wrong: 0 };
+        stats[isCorrect ? 'right' : 'wrong']++;
+        quizStats.pokemon[pokemon.id] = stats;
+    });
+    saveQuizStats();
+}
+
+export function getPokemonAccuracy(stats) {
+    return stats.right / (stats.right + stats.wrong);
+}
+
+// Pokemon answered wrong at least once, the most missed first
+// Ties go to the Pokemon with the worse accuracy
+export function getMissedPokemon(limit = Infinity) {
+    return Object.entries(quizStats.pokemon)
+        .filter(([, stats]) => stats.wrong > 0)
+        .map(([id, stats]) => ({ id: Number(id), ...stats, accuracy: getPokemonAccuracy(stats) }))
+        .sort((a, b) => b.wrong - a.wrong || a.accuracy - b.accuracy)
+        .slice(0, limit);
+}
+
+// A missed Pokemon with a Pokédex number from firstId to lastId, or null when there is none
+// Pokemon that are missed more often are picked more often,
+// and ones that are also often answered right count less
+export function pickMissedPokemonId(firstId, lastId, random = Math.random) {
+    const candidates = getMissedPokemon()
+        .filter(pokemon => pokemon.id >= firstId && pokemon.id <= lastId)
+        .map(pokemon => ({ id: pokemon.id, weight: pokemon.wrong / (pokemon.right + 1) }));
+    if (candidates.length === 0) return null;
+    
+    const total = candidates.reduce((sum, candidate) => sum + candidate.weight, 0);
+    let target = random() * total;
+    for (const candidate of candidates) {
+        target -= candidate.weight;
+        if (target < 0) return candidate.id;
+    }
+    return candidates[candidates.length - 1].id;
+}
+
+export function clearQuizStats() {
+    quizStats = { modes: {}, pokemon: {} };
+    localStorage.removeItem(STORAGE_KEY);
+}
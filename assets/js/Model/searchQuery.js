@@ -0,0 +1,302 @@
+// Search Query Model - A small query language for finding Pokemon by their properties
+// This file parses queries like "type:fire gen:1 speed>100 ability:levitate legendary:true"
+// and runs them against the PokéAPI type, generation, ability, species and pokemon endpoints
+
+// Import dependencies
+import { fetchType, fetchGeneration, fetchAbility, fetchSpecies, fetchPokemon, fetchResourceList, isAbortError, REQUEST_PRIORITY } from './pokeapi.js';
+import { typeEffectiveness, pokedexRegions } from './pokemonData.js';
+import { loadPokemonIndex, normalizePokemonQuery } from './pokemonIndex.js';
+import { getDataSourceId } from './dataSource.js';
+
+// Stat names accepted in comparisons, mapped to PokéAPI stat names
+// "total" and "bst" mean the base stat total
+const STAT_ALIASES = {
+    'hp': 'hp',
+    'attack': 'attack', 'atk': 'attack',
+    'defense': 'defense', 'def': 'defense',
+    'special-attack': 'special-attack', 'spatk': 'special-attack', 'spa': 'special-attack',
+    'special-defense': 'special-defense', 'spdef': 'special-defense', 'spd': 'special-defense',
+    'speed': 'speed', 'spe': 'speed',
+    'total': 'total', 'bst': 'total'
+};
+
+const COMPARISONS = {
+    '>': (value, target) => value > target,
+    '>=': (value, target) => value >= target,
+    '<': (value, target) => value < target,
+    '<=': (value, target) => value <= target,
+    '=': (value, target) => value === target
+};
+
+const BOOLEAN_VALUES = { 'true': true, 'yes': true, 'false': false, 'no': false };
+
+// Stat filters need the full data of every candidate Pokemon,
+// so they are only run on small candidate lists to keep the number of requests reasonable
+export const MAX_DETAIL_LOOKUPS = 200;
+
+// Legendary and mythical status never changes, so it is saved per species after the first lookup:
+// { source, species: { [speciesId]: { legendary, mythical } } } - a bare legendary:true only loads the species once
+// The statuses belong to the data source they were read from - another source starts over
+const SPECIES_STATUS_STORAGE_KEY = 'pokemonSpeciesStatus';
+let speciesStatus = JSON.parse(localStorage.getItem(SPECIES_STATUS_STORAGE_KEY)) || {};
+
+// Species are looked up this many at a time, and the status is saved after every batch
+const SPECIES_BATCH_SIZE = 50;
+
+// "speed>100", "bst>=600", "hp=50"
+const STAT_TOKEN = /^([a-z-]+)(>=|<=|>|<|=)(\d+)$/;
+// "type:fire", "gen:1"
+const FILTER_TOKEN = /^([a-z]+):(.+)$/;
+
+// A search is treated as a query (instead of a name or ID) when any word uses the filter syntax
+export function isStructuredQuery(text) {
+    return text.toLowerCase().trim().split(/\s+/).some(token => FILTER_TOKEN.test(token) || STAT_TOKEN.test(token));
+}
+
+// Parse a query string into filters
+// Returns { filters, errors } - errors are readable messages for the user
+export function parseSearchQuery(text) {
+    const filters = {
+        types: [],
+        generations: [],
+        abilities: [],
+        legendary: null,
+        mythical: null,
+        stats: [],
+        names: []
+    };
+    const errors = [];
+    
+    text.toLowerCase().trim().split(/\s+/).filter(Boolean).forEach(token => {
+        const statMatch = token.match(STAT_TOKEN);
+        if (statMatch) {
+            const [, statName, operator, value] = statMatch;
+            if (STAT_ALIASES[statName]) {
+                filters.stats.push({ stat: STAT_ALIASES[statName], operator, value: parseInt(value) });
+            } else {
+                errors.push(`Unknown stat "${statName}". Try hp, atk, def, spatk, spdef, speed or bst.`);
+            }
+            return;
+        }
+        
+        // Looks like a comparison but is not a valid one, e.g. "speed>fast"
+        if (/[<>=]/.test(token)) {
+            errors.push(`Could not read "${token}". Stat filters look like speed>100 or bst>=500.`);
+            return;
+        }
+        
+        const filterMatch = token.match(FILTER_TOKEN);
+        if (!filterMatch) {
+            // Plain words narrow the results by name, e.g. "type:dragon saur"
+            filters.names.push(normalizePokemonQuery(token));
+            return;
+        }
+        
+        const [, key, value] = filterMatch;
+        switch (key) {
+            case 'type':
+                if (typeEffectiveness[value]) {
+                    filters.types.push(value);
+                } else {
+                    errors.push(`Unknown type "${value}".`);
+                }
+                break;
+            case 'gen':
+            case 'generation': {
+                const generation = parseGeneration(value);
+                if (generation) {
+                    filters.generations.push(generation);
+                } else {
+                    errors.push(`Unknown generation "${value}". Use 1-${pokedexRegions.length} or a region name like kanto.`);
+                }
+                break;
+            }
+            case 'ability':
+                filters.abilities.push(normalizePokemonQuery(value));
+                break;
+            case 'legendary':
+            case 'mythical':
+                if (value in BOOLEAN_VALUES) {
+                    filters[key] = BOOLEAN_VALUES[value];
+                } else {
+                    errors.push(`${key}: expects true or false, not "${value}".`);
+                }
+                break;
+            default:
+                errors.push(`Unknown filter "${key}:". Try type:, gen:, ability:, legendary:, mythical: or a stat like speed>100.`);
+        }
+    });
+    
+    return { filters, errors };
+}
+
+// "1", "kanto" -> 1
+function parseGeneration(value) {
+    const region = pokedexRegions.find(r => r.id === value || String(r.generation) === value);
+    return region ? region.generation : null;
+}
+
+// Pull the numeric ID out of a PokéAPI URL: .../pokemon/445/ -> 445
+function getIdFromUrl(url) {
+    return parseInt(url.match(/\/(\d+)\/?$/)[1]);
+}
+
+// Keep only the entries whose ID is in every one of the given ID sets
+function intersectById(entries, idSets) {
+    return idSets.reduce((result, ids) => result.filter(entry => ids.has(entry.id)), entries);
+}
+
+// Run a parsed query
+// options: { signal, onProgress } - onProgress({ checked, total }) reports per-Pokemon lookups
+// Resolves to a list of index entries ({ id, name, sprite, isForm }) in Pokédex order
+export async function runSearchQuery(filters, options = {}) {
+    const { signal, onProgress } = options;
+    const requestOptions = { signal, priority: REQUEST_PRIORITY.HIGH };
+    
+    // Step 1 - list filters: one request each returns every matching Pokemon
+    const [index, typeSets, generationSets, abilitySets] = await Promise.all([
+        loadPokemonIndex(),
+        Promise.all(filters.types.map(async typeName => {
+            const type = await fetchType(typeName, requestOptions);
+            return new Set(type.pokemon.map(entry => getIdFromUrl(entry.pokemon.url)));
+        })),
+        // Generations list species, whose IDs match the default form of each Pokemon,
+        // so alternate forms (IDs 10001+) are left out when a generation is given
+        Promise.all(filters.generations.map(async generationNumber => {
+            const generation = await fetchGeneration(generationNumber, requestOptions);
+            return new Set(generation.pokemon_species.map(species => getIdFromUrl(species.url)));
+        })),
+        Promise.all(filters.abilities.map(async abilityName => {
+            const ability = await fetchAbility(abilityName, requestOptions);
+            return new Set(ability.pokemon.map(entry => getIdFromUrl(entry.pokemon.url)));
+        }))
+    ]);
+    
+    let candidates = intersectById(index, [...typeSets, ...generationSets, ...abilitySets])
+        .filter(entry => filters.names.every(name => entry.name.includes(name)));
+    
+    // Detail lookups are low priority so a normal search stays fast while they run
+    const lookupOptions = { signal, priority: REQUEST_PRIORITY.LOW };
+    
+    // Step 2 - legendary and mythical status, from the saved status of each species
+    if (filters.legendary !== null || filters.mythical !== null) {
+        const speciesIds = await getSpeciesIds(candidates, lookupOptions);
+        const statuses = await loadSpeciesStatus([...speciesIds.values()], lookupOptions, onProgress);
+        candidates = candidates.filter(entry => matchesSpeciesFilters(filters, statuses[speciesIds.get(entry.id)]));
+    }
+    
+    // Step 3 - stat filters: these need the full data of each individual Pokemon
+    if (filters.stats.length === 0) {
+        return sortByPokedexOrder(candidates);
+    }
+    
+    if (candidates.length > MAX_DETAIL_LOOKUPS) {
+        throw new Error(`That query matches ${candidates.length} Pokémon before checking stats. Add a type:, gen:, ability: or legendary: filter to narrow it down (max ${MAX_DETAIL_LOOKUPS}).`);
+    }
+    
+    let checked = 0;
+    onProgress?.({ checked, total: candidates.length });
+    
+    const matches = await Promise.all(candidates.map(async entry => {
+        const pokemon = await fetchPokemon(entry.name, lookupOptions);
+        
+        checked++;
+        onProgress?.({ checked, total: candidates.length });
+        
+        return matchesStatFilters(filters, pokemon) ? entry : null;
+    }));
+    
+    candidates = matches.filter(Boolean);
+    return sortByPokedexOrder(candidates);
+}
+
+// The species ID of every candidate: Map of Pokemon ID -> species ID
+// Default forms share their ID with their species. Alternate forms (IDs 10001+) are named after
+// their species, like "deoxys-attack", so the species list (one request) finds theirs -
+// only a form that doesn't start with a species name needs its own Pokemon data
+async function getSpeciesIds(candidates, options) {
+    const speciesIds = new Map();
+    const forms = candidates.filter(entry => entry.isForm);
+    candidates.filter(entry => !entry.isForm).forEach(entry => speciesIds.set(entry.id, entry.id));
+    if (forms.length === 0) return speciesIds;
+    
+    const speciesNames = await loadSpeciesNames(options);
+    
+    await Promise.all(forms.map(async entry => {
+        const species = speciesNames.find(species => entry.name.startsWith(`${species.name}-`));
+        if (species) {
+            speciesIds.set(entry.id, species.id);
+        } else {
+            const pokemon = await fetchPokemon(entry.name, options);
+            speciesIds.set(entry.id, getIdFromUrl(pokemon.species.url));
+        }
+    }));
+    return speciesIds;
+}
+
+// Every species name with its ID, longest first so "mr-mime" is tried before "mr"
+// Without the list (e.g. offline fixtures that never recorded it) every form loads its own data
+async function loadSpeciesNames(options) {
+    try {
+        const speciesList = await fetchResourceList('pokemon-species', { limit: 100000 }, options);
+        return speciesList.results
+            .map(species => ({ name: species.name, id: getIdFromUrl(species.url) }))
+            .sort((a, b) => b.name.length - a.name.length);
+    } catch (error) {
+        if (isAbortError(error)) throw error;
+        console.warn('Species list unavailable, checking forms one by one:', error.message);
+        return [];
+    }
+}
+
+// The saved statuses of the current data source: { [speciesId]: { legendary, mythical } }
+function getSavedSpeciesStatus() {
+    const source = getDataSourceId();
+    if (speciesStatus.source !== source) {
+        speciesStatus = { source, species: {} };
+    }
+    return speciesStatus.species;
+}
+
+// Look up the species whose status isn't saved yet, a batch at a time, and return every saved status
+// onProgress({ checked, total }) counts the species to look up
+// Only the two flags are kept, so the full species data isn't cached - a search over the
+// whole Pokedex would otherwise push everything else out of the response caches
+async function loadSpeciesStatus(speciesIds, options, onProgress) {
+    const statuses = getSavedSpeciesStatus();
+    const missing = [...new Set(speciesIds)].filter(id => !statuses[id]);
+    if (missing.length === 0) return statuses;
+    
+    const speciesOptions = { ...options, cache: false };
+    onProgress?.({ checked: 0, total: missing.length });
+    for (let start = 0; start < missing.length; start += SPECIES_BATCH_SIZE) {
+        const batch = missing.slice(start, start + SPECIES_BATCH_SIZE);
+        await Promise.all(batch.map(async id => {
+            const species = await fetchSpecies(id, speciesOptions);
+            statuses[id] = { legendary: species.is_legendary, mythical: species.is_mythical };
+        }));
+        
+        localStorage.setItem(SPECIES_STATUS_STORAGE_KEY, JSON.stringify(speciesStatus));
+        onProgress?.({ checked: start + batch.length, total: missing.length });
+    }
+    return statuses;
+}
+
+function matchesSpeciesFilters(filters, status) {
+    if (filters.legendary !== null && status.legendary !== filters.legendary) return false;
+    if (filters.mythical !== null && status.mythical !== filters.mythical) return false;
+    return true;
+}
+
+function matchesStatFilters(filters, pokemon) {
+    return filters.stats.every(({ stat, operator, value }) => {
+        const statValue = stat === 'total'
+            ? pokemon.stats.reduce((sum, s) => sum + s.base_stat, 0)
+            : pokemon.stats.find(s => s.stat.name === stat)?.base_stat;
+        return statValue !== undefined && COMPARISONS[operator](statValue, value);
+    });
+}
+
+function sortByPokedexOrder(entries) {
+    return [...entries].sort((a, b) => a.id - b.id);
+}
@@ -0,0 +1,42 @@
+// Seeded Random Model - Reproducible random numbers
+// This file creates random number generators from a seed, so the same seed
+// always produces the same sequence (e.g. to replay a battle exactly)
+
+// Turn a seed (number or text) into a 32-bit integer
+// Text seeds use the FNV-1a hash, so "pikachu" always becomes the same number
+export function hashSeed(seed) {
+    if (typeof seed === 'number' && Number.isFinite(seed)) {
+        return Math.floor(seed) >>> 0;
+    }
+    
+    let hash = 2166136261;
+    for (const char of String(seed)) {
+        hash ^= char.codePointAt(0);
+        hash = Math.imul(hash, 16777619);
+    }
+    return hash >>> 0;
+}
+
+// A new seed for runs where the user did not pick one
+export function createRandomSeed() {
+    return Math.floor(Math.random() * 2 ** 32);
+}
+
+// Create a random function that works like Math.random() but follows the seed
+// Uses the small and fast Mulberry32 algorithm - good enough for games, not for security
+export function createSeededRandom(seed) {
+    let state = hashSeed(seed);
+    
+    return function random() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Whole number from min to max (both included) using a seeded random function
+export function randomInt(random, min, max) {
+    return min + Math.floor(random() * (max - min + 1));
+}
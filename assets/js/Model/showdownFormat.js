@@ -0,0 +1,291 @@
+// Showdown Format Model - Reads and writes teams in the Pokémon Showdown paste format
+// This file turns plain-text sets into structured data (and back), and checks every
+// species, item, ability and move of an imported team against PokeAPI
+//
+// A set in the Showdown format looks like this:
+//   Garchomp (M) @ Choice Scarf
+//   Ability: Rough Skin
+//   Level: 50
+//   EVs: 252 Atk / 4 SpD / 252 Spe
+//   Jolly Nature
+//   IVs: 0 SpA
+//   - Earthquake
+//   - Dragon Claw
+// Sets are separated by blank lines
+
+// Import dependencies
+import { fetchPokemonOrDefaultForm, fetchMove, fetchItem } from './pokeapi.js';
+import { normalizePokemonQuery } from './pokemonIndex.js';
+import { STAT_NAMES, NATURES, MAX_LEVEL, MAX_IV, MAX_STAT_EVS, MAX_TOTAL_EVS, getDefaultSpread, getEvTotal } from './statCalculator.js';
+import { TEAM_SIZE, MOVES_PER_MEMBER } from './teamBuilder.js';
+
+// Showdown stat abbreviations and the API stat names they stand for
+const SHOWDOWN_STATS = {
+    HP: 'hp',
+    Atk: 'attack',
+    Def: 'defense',
+    SpA: 'special-attack',
+    SpD: 'special-defense',
+    Spe: 'speed'
+};
+
+// Showdown always writes sets at level 100 unless a "Level:" line says otherwise
+const SHOWDOWN_DEFAULT_LEVEL = 100;
+
+// Lines Showdown writes that this app has no use for - they are accepted and skipped
+const IGNORED_KEYS = ['Shiny', 'Happiness', 'Tera Type', 'Gigantamax', 'Dynamax Level', 'Hidden Power', 'Pokeball'];
+
+// =============================================================================
+// PARSING
+// =============================================================================
+
+// Parse a whole paste
+// Returns { name, sets, errors } - errors are { line, message } with 1-based line numbers,
+// sets are { species, nickname, gender, item, ability, spread, moves, lines }
+// where lines holds the line number of the species, the ability and each move
+export function parseShowdownTeam(text) {
+    const errors = [];
+    const sets = [];
+    let name = null;
+    let current = null;
+    
+    text.split(/\r?\n/).forEach((rawLine, index) => {
+        const lineNumber = index + 1;
+        const line = rawLine.trim();
+        
+        // A blank line ends the current set
+        if (!line) {
+            current = null;
+            return;
+        }
+        
+        // Team headers from the Showdown teambuilder: "=== [gen9ou] Rain Team ==="
+        const header = line.match(/^===\s*(?:\[[^\]]*\]\s*)?(.*?)\s*===$/);
+        if (header) {
+            name = name || header[1] || null;
+            current = null;
+            return;
+        }
+        
+        if (!current) {
+            current = parseSetHeader(line, lineNumber);
+            sets.push(current);
+            if (sets.length === TEAM_SIZE + 1) {
+                errors.push({ line: lineNumber, message: `A team can have at most ${TEAM_SIZE} Pokémon.` });
+            }
+            if (!current.species) {
+                errors.push({ line: lineNumber, message: 'Missing the Pokémon species.' });
+            }
+            return;
+        }
+        
+        const error = parseSetLine(current, line, lineNumber);
+        if (error) {
+            errors.push({ line: lineNumber, message: error });
+        }
+    });
+    
+    return { name, sets, errors };
+}
+
+// "Nickname (Species) (M) @ Item" - everything but the species is optional
+function parseSetHeader(line, lineNumber) {
+    let [namePart, item = null] = line.split(/\s+@\s+/);
+    let gender = null;
+    
+    const genderMatch = namePart.match(/\s*\((M|F)\)$/);
+    if (genderMatch) {
+        gender = genderMatch[1];
+        namePart = namePart.slice(0, genderMatch.index);
+    }
+    
+    let nickname = null;
+    let species = namePart.trim();
+    const nicknameMatch = species.match(/^(.+?)\s*\(([^()]+)\)$/);
+    if (nicknameMatch) {
+        nickname = nicknameMatch[1];
+        species = nicknameMatch[2].trim();
+    }
+    
+    return {
+        species,
+        nickname,
+        gender,
+        item: item ? item.trim() : null,
+        ability: null,
+        spread: getDefaultSpread(SHOWDOWN_DEFAULT_LEVEL),
+        moves: [],
+        lines: { species: lineNumber, ability: null, moves: [] }
+    };
+}
+
+// Read one line of a set into it - returns an error message, or null when the line is fine
+function parseSetLine(set, line, lineNumber) {
+    // Moves: "- Earthquake" (Showdown also accepts "~ Earthquake")
+    const move = line.match(/^[-~]\s*(.+)$/);
+    if (move) {
+        if (set.moves.length >= MOVES_PER_MEMBER) {
+            return `A Pokémon can only know ${MOVES_PER_MEMBER} moves.`;
+        }
+        set.moves.push(move[1].trim());
+        set.lines.moves.push(lineNumber);
+        return null;
+    }
+    
+    // Natures: "Jolly Nature"
+    const nature = line.match(/^(\w+)\s+Nature$/i);
+    if (nature) {
+        const natureName = nature[1].toLowerCase();
+        if (!NATURES[natureName]) {
+            return `Unknown nature "${nature[1]}".`;
+        }
+        set.spread.nature = natureName;
+        return null;
+    }
+    
+    // Everything else is "Key: Value"
+    const keyValue = line.match(/^([^:]+):\s*(.*)$/);
+    if (!keyValue) {
+        return `Unrecognized line "${line}".`;
+    }
+    
+    const [, key, value] = keyValue;
+    switch (key.trim()) {
+        case 'Ability':
+            set.ability = value;
+            set.lines.ability = lineNumber;
+            return null;
+        case 'Level': {
+            const level = Number(value);
+            if (!Number.isInteger(level) || level < 1 || level > MAX_LEVEL) {
+                return `Level must be between 1 and ${MAX_LEVEL}.`;
+            }
+            set.spread.level = level;
+            return null;
+        }
+        case 'EVs':
+            return parseStatList(value, set.spread.evs, MAX_STAT_EVS, 'EVs')
+                || (getEvTotal(set.spread) > MAX_TOTAL_EVS ? `EV total is ${getEvTotal(set.spread)} - a Pokémon can have at most ${MAX_TOTAL_EVS} EVs.` : null);
+        case 'IVs':
+            return parseStatList(value, set.spread.ivs, MAX_IV, 'IVs');
+        default:
+            return IGNORED_KEYS.includes(key.trim()) ? null : `Unrecognized line "${line}".`;
+    }
+}
+
+// "252 Atk / 4 SpD / 252 Spe" - stats that are not listed keep their default
+function parseStatList(value, target, max, label) {
+    for (const part of value.split('/')) {
+        const match = part.trim().match(/^(\d+)\s+(\w+)$/);
+        const stat = match && SHOWDOWN_STATS[match[2]];
+        if (!stat) {
+            return `Can't read "${part.trim()}" in the ${label} - use e.g. "252 Atk".`;
+        }
+        
+        const amount = Number(match[1]);
+        if (amount > max) {
+            return `${match[2]} ${label} must be between 0 and ${max}.`;
+        }
+        target[stat] = amount;
+    }
+    return null;
+}
+
+// =============================================================================
+// SERIALIZING
+// =============================================================================
+
+// "charizard-mega-x" -> "Charizard-Mega-X" (species keep their hyphens),
+// "choice-scarf" -> "Choice Scarf"
+export function toShowdownName(apiName, separator = ' ') {
+    return apiName
+        .split('-')
+        .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+        .join(separator);
+}
+
+// "252 Atk / 4 SpD / 252 Spe" for the stats that differ from the default
+function formatStatList(values, defaultValue) {
+    return STAT_NAMES
+        .filter(stat => values[stat] !== defaultValue)
+        .map(stat => `${values[stat]} ${Object.keys(SHOWDOWN_STATS).find(key => SHOWDOWN_STATS[key] === stat)}`)
+        .join(' / ');
+}
+
+// set: { species, item, ability, spread, moves } with API names (e.g. a team builder member)
+export function formatShowdownSet(set) {
+    const lines = [set.item ? `${toShowdownName(set.species, '-')} @ ${toShowdownName(set.item)}` : toShowdownName(set.species, '-')];
+    
+    if (set.ability) lines.push(`Ability: ${toShowdownName(set.ability)}`);
+    
+    const spread = set.spread || getDefaultSpread(SHOWDOWN_DEFAULT_LEVEL);
+    if (spread.level !== SHOWDOWN_DEFAULT_LEVEL) lines.push(`Level: ${spread.level}`);
+    
+    const evs = formatStatList(spread.evs, 0);
+    if (evs) lines.push(`EVs: ${evs}`);
+    // Hardy is what an import without a nature line gets, so it doesn't need a line
+    if (spread.nature !== 'hardy') lines.push(`${toShowdownName(spread.nature)} Nature`);
+    const ivs = formatStatList(spread.ivs, MAX_IV);
+    if (ivs) lines.push(`IVs: ${ivs}`);
+    
+    set.moves.filter(Boolean).forEach(move => lines.push(`- ${toShowdownName(move)}`));
+    
+    return lines.join('\n');
+}
+
+export function formatShowdownTeam(sets) {
+    return sets.map(formatShowdownSet).join('\n\n');
+}
+
+// =============================================================================
+// CHECKING AGAINST POKEAPI
+// =============================================================================
+
+// "Hidden Power [Fire]" is the move "hidden-power" in PokeAPI
+function toMoveQuery(name) {
+    return normalizePokemonQuery(name.replace(/\s*\[[^\]]*\]$/, ''));
+}
+
+// Look up every species, item, ability and move of the parsed sets
+// Returns { resolved: [{ set, pokemon, item, moves }], errors: [{ line, message }] } - item is null for sets without one
+// Names that don't exist become errors with their line number - network problems are thrown
+export async function resolveShowdownSets(sets) {
+    const errors = [];
+    const isMissing = error => {
+        if (error.status !== 404) throw error;
+        return null;
+    };
+    
+    const resolved = await Promise.all(sets.map(async set => {
+        const [pokemon, item, moves] = await Promise.all([
+            fetchPokemonOrDefaultForm(normalizePokemonQuery(set.species)).catch(isMissing),
+            set.item ? fetchItem(normalizePokemonQuery(set.item)).catch(isMissing) : null,
+            Promise.all(set.moves.map(move => fetchMove(toMoveQuery(move)).catch(isMissing)))
+        ]);
+        
+        if (!pokemon) {
+            errors.push({ line: set.lines.species, message: `Unknown Pokémon "${set.species}".` });
+        } else if (set.ability) {
+            const ability = normalizePokemonQuery(set.ability);
+            if (!pokemon.abilities.some(entry => entry.ability.name === ability)) {
+                errors.push({ line: set.lines.ability, message: `${set.species} can't have the ability "${set.ability}".` });
+            }
+        }
+        
+        // The item is written on the species line
+        if (set.item && !item) {
+            errors.push({ line: set.lines.species, message: `Unknown item "${set.item}".` });
+        }
+        
+        moves.forEach((moveData, index) => {
+            if (!moveData) {
+                errors.push({ line: set.lines.moves[index], message: `Unknown move "${set.moves[index]}".` });
+            }
+        });
+        
+        return { set, pokemon, item, moves };
+    }));
+    
+    errors.sort((a, b) => a.line - b.line);
+    return { resolved, errors };
+}
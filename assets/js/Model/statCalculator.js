@@ -0,0 +1,146 @@
+// Stat Calculator Model - Real stats from base stats, level, IVs, EVs and nature
+// This file implements the official stat formulas and remembers the spread
+// (level, IVs, EVs, nature) chosen for each Pokemon in localStorage
+
+export const STAT_NAMES = ['hp', 'attack', 'defense', 'special-attack', 'special-defense', 'speed'];
+
+// Short names used in validation messages
+const STAT_LABELS = {
+    'hp': 'HP',
+    'attack': 'Attack',
+    'defense': 'Defense',
+    'special-attack': 'Sp. Atk',
+    'special-defense': 'Sp. Def',
+    'speed': 'Speed'
+};
+
+export const MAX_LEVEL = 100;
+export const MAX_IV = 31;
+export const MAX_STAT_EVS = 252;
+export const MAX_TOTAL_EVS = 510;
+
+// Each nature raises one stat by 10% and lowers another by 10%
+// The five natures that would raise and lower the same stat are neutral
+export const NATURES = {
+    hardy: { increased: null, decreased: null },
+    lonely: { increased: 'attack', decreased: 'defense' },
+    brave: { increased: 'attack', decreased: 'speed' },
+    adamant: { increased: 'attack', decreased: 'special-attack' },
+    naughty: { increased: 'attack', decreased: 'special-defense' },
+    bold: { increased: 'defense', decreased: 'attack' },
+    docile: { increased: null, decreased: null },
+    relaxed: { increased: 'defense', decreased: 'speed' },
+    impish: { increased: 'defense', decreased: 'special-attack' },
+    lax: { increased: 'defense', decreased: 'special-defense' },
+    timid: { increased: 'speed', decreased: 'attack' },
+    hasty: { increased: 'speed', decreased: 'defense' },
+    serious: { increased: null, decreased: null },
+    jolly: { increased: 'speed', decreased: 'special-attack' },
+    naive: { increased: 'speed', decreased: 'special-defense' },
+    modest: { increased: 'special-attack', decreased: 'attack' },
+    mild: { increased: 'special-attack', decreased: 'defense' },
+    quiet: { increased: 'special-attack', decreased: 'speed' },
+    bashful: { increased: null, decreased: null },
+    rash: { increased: 'special-attack', decreased: 'special-defense' },
+    calm: { increased: 'special-defense', decreased: 'attack' },
+    gentle: { increased: 'special-defense', decreased: 'defense' },
+    sassy: { increased: 'special-defense', decreased: 'speed' },
+    careful: { increased: 'special-defense', decreased: 'special-attack' },
+    quirky: { increased: null, decreased: null }
+};
+
+// Perfect IVs, no EVs and a neutral nature - what the calculators assume unless told otherwise
+export function getDefaultSpread(level = 50) {
+    return {
+        level,
+        ivs: Object.fromEntries(STAT_NAMES.map(stat => [stat, MAX_IV])),
+        evs: Object.fromEntries(STAT_NAMES.map(stat => [stat, 0])),
+        nature: 'hardy'
+    };
+}
+
+// 1.1 for the stat a nature raises, 0.9 for the one it lowers, 1 otherwise
+export function getNatureMultiplier(nature, statName) {
+    const natureData = NATURES[nature];
+    if (!natureData) return 1;
+    if (natureData.increased === statName) return 1.1;
+    if (natureData.decreased === statName) return 0.9;
+    return 1;
+}
+
+// The official formulas (Generation III onwards):
+// HP:    floor((2 x Base + IV + floor(EV / 4)) x Level / 100) + Level + 10
+// Other: floor((floor((2 x Base + IV + floor(EV / 4)) x Level / 100) + 5) x Nature)
+export function calculateStat(statName, baseStat, spread) {
+    const iv = spread.ivs[statName];
+    const ev = spread.evs[statName];
+    const value = Math.floor((2 * baseStat + iv + Math.floor(ev / 4)) * spread.level / 100);
+    
+    if (statName === 'hp') {
+        // Shedinja is the only Pokemon with a base HP of 1 - its HP is always 1
+        return baseStat === 1 ? 1 : value + spread.level + 10;
+    }
+    return Math.floor((value + 5) * getNatureMultiplier(spread.nature, statName));
+}
+
+// All six stats of a PokéAPI Pokemon: { hp, attack, defense, ... }
+export function calculateStats(pokemon, spread) {
+    return Object.fromEntries(pokemon.stats.map(s => [s.stat.name, calculateStat(s.stat.name, s.base_stat, spread)]));
+}
+
+// Empty EV inputs count as 0 here - validateSpread reports them separately
+export function getEvTotal(spread) {
+    return STAT_NAMES.reduce((total, stat) => total + (spread.evs[stat] || 0), 0);
+}
+
+// Check a spread against the game's limits
+// Returns a list of readable error messages - empty when the spread is valid
+export function validateSpread(spread) {
+    const errors = [];
+    
+    if (!Number.isInteger(spread.level) || spread.level < 1 || spread.level > MAX_LEVEL) {
+        errors.push(`Level must be between 1 and ${MAX_LEVEL}.`);
+    }
+    if (!NATURES[spread.nature]) {
+        errors.push(`Unknown nature "${spread.nature}".`);
+    }
+    
+    STAT_NAMES.forEach(stat => {
+        const iv = spread.ivs[stat];
+        const ev = spread.evs[stat];
+        if (!Number.isInteger(iv) || iv < 0 || iv > MAX_IV) {
+            errors.push(`${STAT_LABELS[stat]} IV must be between 0 and ${MAX_IV}.`);
+        }
+        if (!Number.isInteger(ev) || ev < 0 || ev > MAX_STAT_EVS) {
+            errors.push(`${STAT_LABELS[stat]} EVs must be between 0 and ${MAX_STAT_EVS}.`);
+        }
+    });
+    
+    const evTotal = getEvTotal(spread);
+    if (evTotal > MAX_TOTAL_EVS) {
+        errors.push(`EV total is ${evTotal} - a Pokémon can have at most ${MAX_TOTAL_EVS} EVs.`);
+    }
+    
+    return errors;
+}
+
+// =============================================================================
+// SAVED SPREADS
+// =============================================================================
+
+// Spreads chosen in the stat calculator, by Pokemon ID: { 6: { level, ivs, evs, nature } }
+const savedSpreads = JSON.parse(localStorage.getItem('pokemonStatSpreads')) || {};
+
+export function getSavedSpread(pokemonId) {
+    return savedSpreads[pokemonId] || null;
+}
+
+export function saveSpread(pokemonId, spread) {
+    savedSpreads[pokemonId] = spread;
+    localStorage.setItem('pokemonStatSpreads', JSON.stringify(savedSpreads));
+}
+
+export function removeSavedSpread(pokemonId) {
+    delete savedSpreads[pokemonId];
+    localStorage.setItem('pokemonStatSpreads', JSON.stringify(savedSpreads));
+}
@@ -0,0 +1,267 @@
+// Team Builder Model - Teams of six Pokemon with an ability and four moves each
+// This file stores several named teams in localStorage and analyses the type matchups
+// of a whole team: shared weaknesses and resistances, and the types its moves cannot hit hard
+
+// Import dependencies
+import { ALL_TYPES, getTypeMultiplier } from './typeMatchups.js';
+
+export const TEAM_SIZE = 6;
+export const MOVES_PER_MEMBER = 4;
+
+// Abilities that make a Pokemon immune to a type - they change the team's weaknesses
+// e.g. a Levitate Gengar is not hurt by Ground moves at all
+export const ABILITY_IMMUNITIES = {
+    'levitate': 'ground',
+    'earth-eater': 'ground',
+    'flash-fire': 'fire',
+    'well-baked-body': 'fire',
+    'water-absorb': 'water',
+    'storm-drain': 'water',
+    'dry-skin': 'water',
+    'volt-absorb': 'electric',
+    'lightning-rod': 'electric',
+    'motor-drive': 'electric',
+    'sap-sipper': 'grass'
+};
+
+const STORAGE_KEY = 'pokemonTeams';
+
+// =============================================================================
+// TEAM MEMBERS
+// =============================================================================
+
+function createEmptySlots() {
+    return new Array(TEAM_SIZE).fill(null);
+}
+
+// A team member keeps only what the builder needs, so saved teams stay small
+// and can be analysed without loading anything from the API
+export function createTeamMember(pokemon) {
+    const abilities = pokemon.abilities.map(entry => ({
+        name: entry.ability.name,
+        isHidden: entry.is_hidden
+    }));
+    
+    return {
+        id: pokemon.id,
+        name: pokemon.name,
+        sprite: pokemon.sprites.front_default,
+        types: pokemon.types.map(type => type.type.name),
+        abilities,
+        ability: abilities.find(ability => !ability.isHidden)?.name || abilities[0]?.name || null,
+        moves: new Array(MOVES_PER_MEMBER).fill(null),
+        // Only imported sets have these - the builder itself doesn't edit them
+        item: null,
+        spread: null // { level, ivs, evs, nature } like the stat calculator
+    };
+}
+
+// A move as stored on a team member, from PokeAPI move data
+export function createTeamMove(moveData) {
+    return {
+        name: moveData.name,
+        type: moveData.type.name,
+        damageClass: moveData.damage_class.name,
+        power: moveData.power
+    };
+}
+
+// =============================================================================
+// SAVED TEAMS
+// =============================================================================
+
+// { teams: [{ id, name, members: [member | null] x6 }], activeTeamId }
+let teamStore = loadTeams();
+
+function loadTeams() {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (saved && Array.isArray(saved.teams) && saved.teams.length > 0) {
+        return saved;
+    }
+    
+    const firstTeam = createTeamData('My Team');
+    return { teams: [firstTeam], activeTeamId: firstTeam.id };
+}
+
+function saveTeams() {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(teamStore));
+}
+
+function createTeamData(name) {
+    return {
+        id: `team-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+        name,
+        members: createEmptySlots()
+    };
+}
+
+function findTeam(teamId) {
+    const team = teamStore.teams.find(t => t.id === teamId);
+    if (!team) {
+        throw new Error(`There is no team with the ID "${teamId}".`);
+    }
+    return team;
+}
+
+function checkSlot(slot) {
+    if (!Number.isInteger(slot) || slot < 0 || slot >= TEAM_SIZE) {
+        throw new Error(`Team slot must be between 1 and ${TEAM_SIZE}.`);
+    }
+}
+
+export function getTeams() {
+    return teamStore.teams.map(team => ({ ...team, members: [...team.members] })); // Copies, like getFavorites()
+}
+
+export function getActiveTeam() {
+    const team = teamStore.teams.find(t => t.id === teamStore.activeTeamId) || teamStore.teams[0];
+    return { ...team, members: [...team.members] };
+}
+
+export function setActiveTeam(teamId) {
+    teamStore.activeTeamId = findTeam(teamId).id;
+    saveTeams();
+}
+
+// New teams become the active team
+// members: optional list of up to six members (e.g. from an imported Showdown paste)
+export function createTeam(name, members = []) {
+    const cleanName = name.trim() || `Team ${teamStore.teams.length + 1}`;
+    const team = createTeamData(cleanName);
+    members.slice(0, TEAM_SIZE).forEach((member, slot) => {
+        team.members[slot] = member;
+    });
+    teamStore.teams.push(team);
+    teamStore.activeTeamId = team.id;
+    saveTeams();
+    return team;
+}
+
+export function renameTeam(teamId, name) {
+    const cleanName = name.trim();
+    if (!cleanName) {
+        throw new Error('A team needs a name.');
+    }
+    findTeam(teamId).name = cleanName;
+    saveTeams();
+}
+
+// There is always at least one team - deleting the last one leaves an empty team behind
+export function deleteTeam(teamId) {
+    findTeam(teamId);
+    teamStore.teams = teamStore.teams.filter(team => team.id !== teamId);
+    if (teamStore.teams.length === 0) {
+        teamStore.teams.push(createTeamData('My Team'));
+    }
+    if (teamStore.activeTeamId === teamId) {
+        teamStore.activeTeamId = teamStore.teams[0].id;
+    }
+    saveTeams();
+}
+
+// member: from createTeamMember(), or null to empty the slot
+export function setTeamMember(teamId, slot, member) {
+    checkSlot(slot);
+    findTeam(teamId).members[slot] = member;
+    saveTeams();
+}
+
+export function setMemberAbility(teamId, slot, abilityName) {
+    checkSlot(slot);
+    const member = findTeam(teamId).members[slot];
+    if (!member) return;
+    
+    if (!member.abilities.some(ability => ability.name === abilityName)) {
+        throw new Error(`${member.name} cannot have the ability "${abilityName}".`);
+    }
+    member.ability = abilityName;
+    saveTeams();
+}
+
+export function knowsMove(member, moveName) {
+    return member.moves.some(move => move?.name === moveName);
+}
+
+// move: from createTeamMove(), or null to clear the move slot
+export function setMemberMove(teamId, slot, moveIndex, move) {
+    checkSlot(slot);
+    const member = findTeam(teamId).members[slot];
+    if (!member) return;
+    
+    member.moves[moveIndex] = move;
+    saveTeams();
+}
+
+// =============================================================================
+// TEAM ANALYSIS
+// =============================================================================
+
+// Damage multiplier of an attacking type against a member, including immunity abilities
+export function getMemberMultiplier(attackingType, member) {
+    if (ABILITY_IMMUNITIES[member.ability] === attackingType) return 0;
+    return getTypeMultiplier(attackingType, member.types);
+}
+
+// How every attacking type hits the team
+// Returns [{ type, weak, resistant, immune, isThreat }] with member names in each list
+// A type is a threat when more members are weak to it than resist it, and at least two are weak
+export function getTeamDefense(team) {
+    const members = team.members.filter(Boolean);
+    
+    return ALL_TYPES.map(type => {
+        const multipliers = members.map(member => ({ name: member.name, multiplier: getMemberMultiplier(type, member) }));
+        const weak = multipliers.filter(m => m.multiplier > 1).map(m => m.name);
+        const resistant = multipliers.filter(m => m.multiplier > 0 && m.multiplier < 1).map(m => m.name);
+        const immune = multipliers.filter(m => m.multiplier === 0).map(m => m.name);
+        
+        return {
+            type,
+            weak,
+            resistant,
+            immune,
+            isThreat: weak.length >= 2 && weak.length > resistant.length + immune.length
+        };
+    });
+}
+
+// How well the team's damaging moves hit each defending type
+// Returns [{ type, bestMultiplier, superEffective: [{ pokemon, move }] }]
+// Status moves do no damage, so they don't count towards coverage
+export function getTeamCoverage(team) {
+    const attacks = team.members
+        .filter(Boolean)
+        .flatMap(member => member.moves
+            .filter(move => move && move.damageClass !== 'status')
+            .map(move => ({ pokemon: member.name, move })));
+    
+    return ALL_TYPES.map(type => {
+        const hits = attacks.map(attack => ({ ...attack, multiplier: getTypeMultiplier(attack.move.type, [type]) }));
+        return {
+            type,
+            bestMultiplier: hits.length ? Math.max(...hits.map(hit => hit.multiplier)) : 0,
+            superEffective: hits
+                .filter(hit => hit.multiplier > 1)
+                .map(hit => ({ pokemon: hit.pokemon, move: hit.move.name }))
+        };
+    });
+}
+
+// Types no move on the team hits super effectively - the "coverage gaps"
+// Types nothing on the team can even hit for neutral damage are listed separately
+export function getCoverageGaps(coverage) {
+    return {
+        notSuperEffective: coverage.filter(entry => entry.bestMultiplier <= 1).map(entry => entry.type),
+        resisted: coverage.filter(entry => entry.bestMultiplier < 1).map(entry => entry.type)
+    };
+}
+
+export function analyseTeam(team) {
+    const coverage = getTeamCoverage(team);
+    return {
+        memberCount: team.members.filter(Boolean).length,
+        moveCount: team.members.filter(Boolean).reduce((count, member) => count + member.moves.filter(Boolean).length, 0),
+        defense: getTeamDefense(team),
+        coverage,
+        gaps: getCoverageGaps(coverage)
+    };
+}
@@ -0,0 +1,42 @@
+// Type Matchups Model - Type effectiveness calculations for single and dual types
+// This file combines the defensive typeEffectiveness table into damage multipliers,
+// so a Fire/Flying Pokemon correctly takes 4x from Rock and nothing from Ground
+
+// Import dependencies
+import { typeEffectiveness } from './pokemonData.js';
+
+// All 18 types, in the order of the typeEffectiveness table
+export const ALL_TYPES = Object.keys(typeEffectiveness);
+
+// Defensive buckets from most to least damage taken
+export const MATCHUP_MULTIPLIERS = [4, 2, 1, 0.5, 0.25, 0];
+
+// Multiplier of one attacking type against a single defending type: 2, 1, 0.5 or 0
+function getSingleTypeMultiplier(attackingType, defendingType) {
+    const defense = typeEffectiveness[defendingType];
+    if (!defense) return 1; // Unknown types (e.g. "stellar") don't change damage
+    
+    if (defense.immuneTo.includes(attackingType)) return 0;
+    if (defense.weakTo.includes(attackingType)) return 2;
+    if (defense.resistantTo.includes(attackingType)) return 0.5;
+    return 1;
+}
+
+// Multiplier of an attacking type against one or two defending types
+// The multipliers of both types are multiplied: Rock vs Fire/Flying = 2 x 2 = 4
+export function getTypeMultiplier(attackingType, defendingTypes) {
+    return defendingTypes.reduce(
+        (multiplier, defendingType) => multiplier * getSingleTypeMultiplier(attackingType, defendingType),
+        1
+    );
+}
+
+// Group every attacking type by the damage it deals to a Pokemon with these types
+// Returns [{ multiplier: 4, types: ['rock'] }, { multiplier: 2, types: [...] }, ...]
+// in MATCHUP_MULTIPLIERS order, including empty buckets
+export function getDefensiveMatchups(defendingTypes) {
+    return MATCHUP_MULTIPLIERS.map(multiplier => ({
+        multiplier,
+        types: ALL_TYPES.filter(attackingType => getTypeMultiplier(attackingType, defendingTypes) === multiplier)
+    }));
+}
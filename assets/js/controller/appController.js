@@ -2,10 +2,16 @@
 // This file handles the overall application setup and feature coordination
 
 // Import dependencies
-import { popularPokemon, typeEffectiveness } from '../Model/pokemonData.js';
-import { preloadPopularPokemon } from '../Model/pokeapi.js';
-import { toggleDarkMode, initializeDarkMode, capitalizeFirst, getTypeColor } from '../view/utilityFunctions.js';
+import { popularPokemon } from '../Model/pokemonData.js';
+import { preloadPopularPokemon, clearPokemonCache, getCacheSize } from '../Model/pokeapi.js';
+import { loadPokemonIndex, isPokemonIndexLoaded, searchPokemonIndex } from '../Model/pokemonIndex.js';
+import { configureDataSource, getDataSourceSettings, getRecordedFixtures, getRecordedResponseCount } from '../Model/dataSource.js';
+import { isStructuredQuery } from '../Model/searchQuery.js';
+import { toggleDarkMode, initializeDarkMode, updateCacheStatus, showNotification, updateDataSourceForm, downloadJsonFile, formatPokemonName } from '../view/utilityFunctions.js';
+import { displayTypeEffectiveness, hideTypeEffectiveness } from '../view/pokemonDisplay.js';
 import { searchPokemon } from './pokemonController.js';
+import { closeGamingFeatures } from './gamingController.js';
+import { registerRoute, setFallbackRoute, startRouter, updateRoute, getPokemonParam } from './router.js';
 
 // Theme controller functions
 function initializeThemeController() {
@@ -19,24 +25,91 @@ function initializeThemeController() {
     initializeDarkMode();
 }
 
+// Cache controller - wires the "Clear Cache" button and keeps the cache status up to date
+export async function refreshCacheStatus() {
+    updateCacheStatus(await getCacheSize());
+}
+
+function initializeCacheController() {
+    const clearCacheBtn = document.getElementById('clear-cache-btn');
+    
+    if (clearCacheBtn) {
+        clearCacheBtn.addEventListener('click', async () => {
+            await clearPokemonCache();
+            await refreshCacheStatus();
+            showNotification('Pokémon cache cleared!');
+        });
+    }
+    
+    refreshCacheStatus();
+}
+
+// Data source controller - lets the team switch between the public API, a mirror and offline fixtures
+function initializeDataSourceController() {
+    const form = document.getElementById('data-source-form');
+    const exportBtn = document.getElementById('export-fixtures-btn');
+    
+    if (form) {
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            
+            configureDataSource({
+                mode: document.getElementById('data-source-mode').value,
+                baseUrl: document.getElementById('data-source-url').value,
+                fixtureUrl: document.getElementById('data-source-fixtures').value,
+                recording: document.getElementById('data-source-recording').checked
+            });
+            
+            // Cached data is kept per source, so the new one starts with its own
+            await refreshCacheStatus();
+            updateDataSourceForm(getDataSourceSettings(), getRecordedResponseCount());
+            showNotification('Data source updated!');
+        });
+    }
+    
+    if (exportBtn) {
+        exportBtn.addEventListener('click', () => {
+            if (getRecordedResponseCount() === 0) {
+                showNotification('Nothing recorded yet - enable recording and browse some Pokémon first.');
+                return;
+            }
+            downloadJsonFile(getRecordedFixtures(), 'pokeapi-fixtures.json');
+        });
+    }
+    
+    // Refresh the recorded count whenever the settings panel is opened
+    const details = document.querySelector('.data-source-settings');
+    if (details) {
+        details.addEventListener('toggle', () => {
+            updateDataSourceForm(getDataSourceSettings(), getRecordedResponseCount());
+        });
+    }
+    
+    updateDataSourceForm(getDataSourceSettings(), getRecordedResponseCount());
+}
+
 // Autocomplete controller
 function initializeAutocompleteController() {
     const searchInput = document.getElementById('pokemon-search');
     
     if (!searchInput) return;
     
+    // Load the full Pokédex name index in the background
+    // Until it arrives, suggestions fall back to the popular Pokemon list
+    loadPokemonIndex().catch(error => {
+        console.warn('Pokemon index unavailable, using popular Pokemon for autocomplete:', error.message);
+    });
+    
     searchInput.addEventListener('input', (e) => {
         const query = e.target.value.toLowerCase().trim();
         
-        if (query.length < 2) {
+        // Structured queries ("type:fire speed>100") are not names - no suggestions for them
+        if (query.length < 2 || isStructuredQuery(query)) {
             hideAutocomplete();
             return;
         }
         
-        // Search through popular Pokemon for matches
-        const suggestions = popularPokemon.filter(pokemon => 
-            pokemon.name.toLowerCase().includes(query)
-        ).slice(0, 5); // Limit to 5 suggestions
+        const suggestions = getAutocompleteSuggestions(query);
         
         if (suggestions.length > 0) {
             showAutocomplete(suggestions);
@@ -87,6 +160,17 @@ function initializeAutocompleteController() {
     });
 }
 
+// Fuzzy search the full index when available, otherwise the popular Pokemon list
+function getAutocompleteSuggestions(query) {
+    if (isPokemonIndexLoaded()) {
+        return searchPokemonIndex(query, 8);
+    }
+    
+    return popularPokemon.filter(pokemon => 
+        pokemon.name.toLowerCase().includes(query)
+    ).slice(0, 5); // Limit to 5 suggestions
+}
+
 // Autocomplete display functions
 function showAutocomplete(suggestions) {
     const dropdown = document.getElementById('autocomplete-dropdown');
@@ -94,8 +178,9 @@ function showAutocomplete(suggestions) {
     
     dropdown.innerHTML = suggestions.map(pokemon => `
         <div class="autocomplete-item" data-pokemon="${pokemon.name}">
-            <span class="pokemon-id">#${pokemon.id}</span>
-            <span class="pokemon-name">${capitalizeFirst(pokemon.name)}</span>
+            ${pokemon.sprite ? `<img src="${pokemon.sprite}" alt="" class="autocomplete-sprite" loading="lazy">` : ''}
+            <span class="pokemon-id">${pokemon.isForm ? 'Form' : `#${pokemon.id}`}</span>
+            <span class="pokemon-name">${formatPokemonName(pokemon.name)}</span>
         </div>
     `).join('');
     
@@ -125,50 +210,54 @@ function updateHighlight(items, index) {
 }
 
 // Type effectiveness controller
+// Shows the combined defensive matchups of all of the Pokemon's types (pokemon.types from the API)
 export function showTypeEffectiveness(pokemonTypes) {
-    const section = document.getElementById('type-effectiveness');
-    if (!section) return;
-    
-    // Get the first type for effectiveness calculation
-    const primaryType = pokemonTypes[0].type.name;
-    const effectiveness = typeEffectiveness[primaryType];
-    
-    if (!effectiveness) {
+    if (!pokemonTypes || pokemonTypes.length === 0) {
         hideTypeEffectiveness();
         return;
     }
     
-    // Update the display with type effectiveness data
-    const superEffectiveEl = document.getElementById('super-effective-types');
-    const notVeryEffectiveEl = document.getElementById('not-very-effective-types');
-    const noEffectEl = document.getElementById('no-effect-types');
-    
-    if (superEffectiveEl) {
-        superEffectiveEl.innerHTML = effectiveness.weakTo.map(type => 
-            `<span class="type-badge ${type}" style="background-color: ${getTypeColor(type)}">${capitalizeFirst(type)}</span>`
-        ).join('');
-    }
+    displayTypeEffectiveness(pokemonTypes);
+}
+
+// ID of the Pokemon card currently on screen, or null
+function getDisplayedPokemonId() {
+    const idElement = document.querySelector('.pokemon-card .pokemon-id');
+    return idElement ? parseInt(idElement.textContent.replace('#', '')) : null;
+}
+
+// Routing controller - registers the app-level routes and restores the state from the URL
+// The gaming routes (#/compare, #/quiz, ...) are registered by initializeGamingFeatures,
+// so this must run after every other controller has been initialized
+export function initializeRouting() {
+    // #/ - the home page, no gaming panel open
+    registerRoute('/', () => {
+        closeGamingFeatures();
+    });
     
-    if (notVeryEffectiveEl) {
-        notVeryEffectiveEl.innerHTML = effectiveness.resistantTo.map(type => 
-            `<span class="type-badge ${type}" style="background-color: ${getTypeColor(type)}">${capitalizeFirst(type)}</span>`
-        ).join('');
-    }
+    // #/pokemon/25 (or #/pokemon/pikachu) - show that Pokemon
+    registerRoute('/pokemon/:pokemon', async params => {
+        closeGamingFeatures();
+        
+        const pokemon = getPokemonParam(params.pokemon);
+        if (!pokemon) {
+            updateRoute('/');
+            return;
+        }
+        
+        // Coming back to the Pokemon that is already on screen - no need to load it again
+        if (getDisplayedPokemonId() === parseInt(pokemon)) return;
+        await searchPokemon(pokemon);
+    });
     
-    if (noEffectEl) {
-        noEffectEl.innerHTML = effectiveness.immuneTo.map(type => 
-            `<span class="type-badge ${type}" style="background-color: ${getTypeColor(type)}">${capitalizeFirst(type)}</span>`
-        ).join('');
-    }
+    // Unknown or outdated links fall back to the home page
+    setFallbackRoute(() => {
+        console.warn('Unknown route:', window.location.hash);
+        closeGamingFeatures();
+        updateRoute('/');
+    });
     
-    section.style.display = 'block';
-}
-
-export function hideTypeEffectiveness() {
-    const section = document.getElementById('type-effectiveness');
-    if (section) {
-        section.style.display = 'none';
-    }
+    startRouter();
 }
 
 // Main application initialization
@@ -178,9 +267,11 @@ export function initializeApp() {
     // Initialize all controllers
     initializeThemeController();
     initializeAutocompleteController();
+    initializeCacheController();
+    initializeDataSourceController();
     
-    // Preload popular Pokemon for better performance
-    preloadPopularPokemon();
+    // Preload popular Pokemon for better performance, then report the warmed cache
+    preloadPopularPokemon().then(refreshCacheStatus);
     
     console.log('PokéDex Explorer App initialized successfully!');
 }
\ No newline at end of file
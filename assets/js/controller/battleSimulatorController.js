@@ -0,0 +1,111 @@
+// Battle Simulator Controller - Runs turn-based battles between the calculator's Pokemon
+// This file collects the move setup of both sides, starts seeded battles and plays their turns
+
+// Import dependencies
+import { fetchMove } from '../Model/pokeapi.js';
+import { normalizePokemonQuery } from '../Model/pokemonIndex.js';
+import { toBattleMove } from '../Model/damageCalculator.js';
+import { getDefaultSpread, getSavedSpread } from '../Model/statCalculator.js';
+import { createBattle, playTurn, simulateBattle } from '../Model/battleSimulator.js';
+import { createRandomSeed } from '../Model/seededRandom.js';
+import { displaySimulatorSetup, displaySimulatorBattle, showSimulatorError } from '../view/battleSimulatorDisplay.js';
+import { formatPokemonName } from '../view/utilityFunctions.js';
+import { getBattleSetup } from './gamingController.js';
+
+// The two Pokemon in the simulator, the stat spreads of their imported sets (or null) and the battle being played
+let simulatorPokemon = [];
+let simulatorSpreads = [];
+let currentBattle = null;
+
+// Load the attacker and defender of the damage calculator into the simulator,
+// with their level and stat spread choice, so they battle with the stats shown above
+export function setupBattleSimulator() {
+    const { attacker, defender, spreads } = getBattleSetup();
+    if (!attacker || !defender) {
+        showSimulatorError('Choose an attacker and a defender above first.');
+        return;
+    }
+    
+    const roles = ['attacker', 'defender'];
+    simulatorPokemon = [attacker, defender];
+    simulatorSpreads = roles.map(role => spreads[role] || null);
+    currentBattle = null;
+    
+    const levels = roles.map(role => parseInt(document.getElementById(`${role}-level`)?.value) || 50);
+    const useSpreads = roles.map(role => Boolean(document.getElementById(`${role}-use-spread`)?.checked));
+    displaySimulatorSetup(simulatorPokemon, levels, useSpreads);
+}
+
+// Start a battle from the setup form (also used to replay a finished battle with its seed)
+export async function startSimulatedBattle() {
+    if (simulatorPokemon.length !== 2) return;
+    
+    // The seed of each battle is written back into the input, so "Replay" plays it again
+    const seedInput = document.getElementById('sim-seed');
+    const seedText = seedInput?.value.trim() || '';
+    // Numbers stay numbers, anything else is hashed as text
+    const seed = seedText === '' ? createRandomSeed() : (/^\d+$/.test(seedText) ? Number(seedText) : seedText);
+    
+    try {
+        const sides = await Promise.all(simulatorPokemon.map((pokemon, sideIndex) => readSide(pokemon, sideIndex)));
+        currentBattle = createBattle(sides, seed);
+        showSimulatorError('');
+        if (seedInput) seedInput.value = seed;
+        displaySimulatorBattle(currentBattle);
+    } catch (error) {
+        console.error('Error starting battle:', error);
+        showSimulatorError(error.message);
+    }
+}
+
+// Build one side of the battle from the setup form, loading the chosen moves
+async function readSide(pokemon, sideIndex) {
+    const level = parseInt(document.getElementById(`sim-level-${sideIndex}`)?.value);
+    if (!level || level < 1 || level > 100) {
+        throw new Error(`Level of ${formatPokemonName(pokemon.name)} must be between 1 and 100.`);
+    }
+    
+    const useSavedSpread = document.getElementById(`sim-use-spread-${sideIndex}`)?.checked;
+    const savedSpread = useSavedSpread ? simulatorSpreads[sideIndex] || getSavedSpread(pokemon.id) : null;
+    
+    const moveNames = [...document.querySelectorAll(`#simulator-setup .sim-move[data-side="${sideIndex}"]`)]
+        .map(input => input.value.trim())
+        .filter(Boolean);
+    if (moveNames.length === 0) {
+        throw new Error(`Pick at least one move for ${formatPokemonName(pokemon.name)}.`);
+    }
+    
+    const moves = await Promise.all(moveNames.map(async moveName => {
+        try {
+            return toBattleMove(await fetchMove(normalizePokemonQuery(moveName)));
+        } catch (error) {
+            throw new Error(error.status === 404 ? `There is no move called "${moveName}".` : `Failed to load the move "${moveName}".`);
+        }
+    }));
+    
+    return {
+        pokemon,
+        spread: savedSpread ? { ...savedSpread, level } : getDefaultSpread(level),
+        moves,
+        control: document.getElementById(`sim-control-${sideIndex}`)?.value || 'ai'
+    };
+}
+
+// Play one turn - manual sides use the move selected under their HP bar, AI sides choose themselves
+export function playSimulatorTurn() {
+    if (!currentBattle || currentBattle.isOver) return;
+    
+    const choices = currentBattle.sides.map((side, sideIndex) =>
+        side.control === 'manual' ? parseInt(document.getElementById(`sim-choice-${sideIndex}`)?.value) || 0 : null
+    );
+    playTurn(currentBattle, choices);
+    displaySimulatorBattle(currentBattle);
+}
+
+// Play all remaining turns at once (only when both sides are AI controlled)
+export function finishSimulatedBattle() {
+    if (!currentBattle || currentBattle.sides.some(side => side.control === 'manual')) return;
+    
+    simulateBattle(currentBattle);
+    displaySimulatorBattle(currentBattle);
+}
@@ -0,0 +1,188 @@
+// Pokedex Browse Controller - Handles the paginated Pokedex grid
+// This file loads pages of Pokemon while the user scrolls and opens the detail card of a clicked Pokemon
+
+// Import dependencies
+import { isAbortError } from '../Model/pokeapi.js';
+import { getPokedexRegion } from '../Model/pokemonData.js';
+import { fetchPokedexPage, loadPokemonTypeMap } from '../Model/pokedexBrowser.js';
+import { clearBrowseGrid, displayBrowseCards, updateBrowseTypes, updateBrowseStatus } from '../view/browseDisplay.js';
+import { searchPokemon } from './pokemonController.js';
+import { updateRoute } from './router.js';
+
+// Browse state - which region is shown and how far we have scrolled
+let browseState = {
+    regionId: 'kanto',
+    nextOffset: 0,
+    total: 0,
+    hasMore: true,
+    isLoading: false
+};
+
+// Aborts the page request of the previous region when the user switches regions
+let activePageController = null;
+
+// Watches an empty element below the grid - when it scrolls into view we load the next page
+let scrollObserver = null;
+let isBrowseInitialized = false;
+
+// Called every time the browse section is opened
+// regionId is given when the region comes from the URL (#/browse/johto)
+export function initializeBrowse(regionId = null) {
+    const regionSelect = document.getElementById('browse-region');
+    const isKnownRegion = regionId === 'all' || Boolean(getPokedexRegion(regionId));
+    if (regionSelect && isKnownRegion) {
+        regionSelect.value = regionId;
+    }
+    
+    if (isBrowseInitialized) {
+        if (isKnownRegion && regionId !== browseState.regionId) {
+            showBrowseRegion(regionId);
+        } else {
+            // Keep the loaded cards and scroll position, just resume infinite scrolling
+            watchScrollSentinel();
+        }
+        return;
+    }
+    isBrowseInitialized = true;
+    
+    const grid = document.getElementById('browse-grid');
+    const loadMoreButton = document.getElementById('browse-load-more');
+    
+    if (regionSelect) {
+        browseState.regionId = regionSelect.value;
+        regionSelect.addEventListener('change', () => {
+            showBrowseRegion(regionSelect.value);
+            updateRoute(getBrowseRoute());
+        });
+    }
+    
+    // Event delegation - one listener handles the clicks on every card, including future pages
+    if (grid) {
+        grid.addEventListener('click', (e) => {
+            const card = e.target.closest('.browse-card');
+            if (card) {
+                openBrowsedPokemon(card.dataset.pokemon);
+            }
+        });
+    }
+    
+    // Fallback for browsers without IntersectionObserver and retry after errors
+    if (loadMoreButton) {
+        loadMoreButton.addEventListener('click', loadNextBrowsePage);
+    }
+    
+    if ('IntersectionObserver' in window) {
+        // rootMargin starts loading a little before the user reaches the end of the grid
+        scrollObserver = new IntersectionObserver(entries => {
+            if (entries.some(entry => entry.isIntersecting)) {
+                loadNextBrowsePage();
+            }
+        }, { rootMargin: '300px' });
+    }
+    
+    showBrowseRegion(browseState.regionId);
+}
+
+// Start over with the first page of a region
+export function showBrowseRegion(regionId) {
+    if (activePageController) {
+        activePageController.abort();
+    }
+    
+    browseState = {
+        regionId,
+        nextOffset: 0,
+        total: 0,
+        hasMore: true,
+        isLoading: false
+    };
+    
+    clearBrowseGrid();
+    loadNextBrowsePage();
+}
+
+async function loadNextBrowsePage() {
+    if (browseState.isLoading || !browseState.hasMore) return;
+    
+    const pageController = new AbortController();
+    activePageController = pageController;
+    const regionId = browseState.regionId;
+    
+    browseState.isLoading = true;
+    updateBrowseStatus(getStatusInfo());
+    
+    try {
+        const page = await fetchPokedexPage(regionId, browseState.nextOffset, { signal: pageController.signal });
+        
+        browseState.nextOffset = page.nextOffset;
+        browseState.total = page.total;
+        browseState.hasMore = page.hasMore;
+        browseState.isLoading = false;
+        
+        displayBrowseCards(page.entries);
+        updateBrowseStatus(getStatusInfo());
+        showBrowseTypes();
+        
+        // Re-observing makes the observer report again, so we keep loading
+        // until the grid is tall enough to push the sentinel out of view
+        watchScrollSentinel();
+    
+    } catch (error) {
+        // The user switched regions - the new region has taken over
+        if (isAbortError(error)) return;
+        
+        console.error('Error loading Pokedex page:', error);
+        browseState.isLoading = false;
+        updateBrowseStatus({ ...getStatusInfo(), errorMessage: error.message });
+    } finally {
+        if (activePageController === pageController) {
+            activePageController = null;
+        }
+    }
+}
+
+// Types come from a separate, slower lookup - cards are shown first and get their badges when it finishes
+async function showBrowseTypes() {
+    try {
+        const typeMap = await loadPokemonTypeMap();
+        updateBrowseTypes(typeMap);
+    } catch (error) {
+        // The grid is still usable without type badges
+        console.warn('Could not load Pokemon types for the browse grid:', error);
+    }
+}
+
+function watchScrollSentinel() {
+    const sentinel = document.getElementById('browse-sentinel');
+    if (!scrollObserver || !sentinel) return;
+    
+    scrollObserver.unobserve(sentinel);
+    if (browseState.hasMore) {
+        scrollObserver.observe(sentinel);
+    }
+}
+
+// "/browse/johto" - the region currently shown
+export function getBrowseRoute() {
+    return `/browse/${browseState.regionId}`;
+}
+
+function getStatusInfo() {
+    const region = getPokedexRegion(browseState.regionId);
+    return {
+        loadedCount: browseState.nextOffset,
+        total: browseState.total,
+        regionName: region ? region.name : 'National Dex',
+        isLoading: browseState.isLoading,
+        hasMore: browseState.hasMore
+    };
+}
+
+// Open the existing detail card for a Pokemon from the grid
+async function openBrowsedPokemon(pokemonName) {
+    const output = document.getElementById('output');
+    if (output) {
+        output.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+    await searchPokemon(pokemonName);
+}
@@ -1,22 +1,24 @@
 // Gaming Features Controller - Handles all interactive gaming features
-// This file manages Pokemon comparison, quiz, battle calculator, evolution chains, and movesets
+// This file manages Pokemon comparison, battle calculator, evolution chains, and movesets
 
 // Import dependencies
-import { fetchPokemon } from '../Model/pokeapi.js';
-import { getRandomPokemonId } from '../Model/pokemonData.js';
-import { displayComparisonResult, displayBattleResult, displayEvolutionChain, displayQuizQuestion, displayMoveset } from '../view/gamingDisplay.js';
+import { fetchPokemon, fetchPokemonOrDefaultForm, fetchByUrl, fetchMove } from '../Model/pokeapi.js';
+import { normalizePokemonQuery } from '../Model/pokemonIndex.js';
+import { MAX_COMPARISON_SIZE, compareStats, getSharedWeaknesses, sortByStat } from '../Model/pokemonComparison.js';
+import { calculateMoveDamage, toBattleMove, DEFAULT_CUSTOM_MOVE } from '../Model/damageCalculator.js';
+import { calculateStats, getDefaultSpread, getSavedSpread } from '../Model/statCalculator.js';
+import { displayComparisonResult, displayBattleResult, displayBattleMove, displayDamageResult, displayDamageError, displayEvolutionChain, displayMoveset } from '../view/gamingDisplay.js';
 import { capitalizeFirst } from '../view/utilityFunctions.js';
+import { initializeBrowse, getBrowseRoute } from './browseController.js';
+import { initializeTeamBuilder } from './teamController.js';
+import { initializeQuiz } from './quizController.js';
+import { registerRoute, updateRoute, getPokemonParam } from './router.js';
 
 // Gaming state management
-let currentComparisonSlots = { slot1: null, slot2: null };
-let currentBattleSetup = { attacker: null, defender: null };
-let currentQuizGame = {
-    currentPokemon: null,
-    score: 0,
-    streak: 0,
-    options: [],
-    revealed: false
-};
+let currentComparison = []; // 2 to 6 Pokemon, in the order they were added
+let comparisonSort = { stat: null, direction: 'desc' }; // stat: null keeps the added order
+// spreads holds the stat spreads of imported Showdown sets per role, used instead of the saved ones
+let currentBattleSetup = { attacker: null, defender: null, move: DEFAULT_CUSTOM_MOVE, spreads: {} };
 let isShinyMode = false;
 
 // =============================================================================
@@ -27,13 +29,7 @@ export function initializeGamingFeatures() {
     const gamingButtons = document.querySelectorAll('.gaming-btn');
     
     // Initially hide all gaming sections
-    const gamingSections = ['comparison-tool', 'battle-calculator', 'evolution-chain', 'quiz-game', 'moveset-display'];
-    gamingSections.forEach(sectionId => {
-        const section = document.getElementById(sectionId);
-        if (section) {
-            section.style.display = 'none';
-        }
-    });
+    closeGamingFeatures();
     
     // Add click listeners to gaming buttons
     gamingButtons.forEach(button => {
@@ -42,63 +38,162 @@ export function initializeGamingFeatures() {
             toggleGamingFeature(feature, button);
         });
     });
+    
+    registerGamingRoutes();
 }
 
+// Section element of each gaming feature (shiny mode has no section)
+const GAMING_SECTION_IDS = {
+    comparison: 'comparison-tool',
+    battle: 'battle-calculator',
+    evolution: 'evolution-chain',
+    quiz: 'quiz-game',
+    moves: 'moveset-display',
+    browse: 'pokedex-browser',
+    team: 'team-builder'
+};
+
 function toggleGamingFeature(feature, button) {
-    let section;
+    if (feature === 'shiny') {
+        toggleShinyMode();
+        return; // Don't show/hide a section for shiny mode
+    }
+    
+    const isActive = button.classList.contains('active');
+    
+    if (isActive) {
+        closeGamingFeatures();
+        // Back to the Pokemon on screen (or the home page)
+        const currentPokemon = getCurrentDisplayedPokemon();
+        updateRoute(currentPokemon ? `/pokemon/${currentPokemon.id}` : '/');
+    } else {
+        openGamingFeature(feature);
+        updateRoute(getFeatureRoute(feature));
+    }
+}
+
+// Show one gaming section and hide the others
+// options.initialize - run the feature's default setup (the router skips it when the URL says what to show)
+export function openGamingFeature(feature, options = {}) {
+    const { initialize = true } = options;
+    const section = document.getElementById(GAMING_SECTION_IDS[feature]);
+    if (!section) return;
+    
+    closeGamingFeatures();
+    
+    // Activate the selected feature
+    document.querySelector(`.gaming-btn[data-feature="${feature}"]`)?.classList.add('active');
+    section.style.display = 'block';
+    
+    if (!initialize) return;
+    
+    // Initialize feature-specific functionality
     switch(feature) {
         case 'comparison':
-            section = document.getElementById('comparison-tool');
+            initializeComparison();
             break;
         case 'battle':
-            section = document.getElementById('battle-calculator');
+            initializeBattle();
             break;
         case 'evolution':
-            section = document.getElementById('evolution-chain');
+            initializeEvolution();
             break;
         case 'quiz':
-            section = document.getElementById('quiz-game');
+            initializeQuiz();
             break;
         case 'moves':
-            section = document.getElementById('moveset-display');
+            initializeMoves();
+            break;
+        case 'browse':
+            initializeBrowse();
+            break;
+        case 'team':
+            initializeTeamBuilder();
             break;
-        case 'shiny':
-            toggleShinyMode();
-            return; // Don't show/hide a section for shiny mode
     }
+}
+
+// Remove active state from all buttons and hide all sections
+export function closeGamingFeatures() {
+    document.querySelectorAll('.gaming-btn').forEach(btn => btn.classList.remove('active'));
+    Object.values(GAMING_SECTION_IDS).forEach(sectionId => {
+        const section = document.getElementById(sectionId);
+        if (section) {
+            section.style.display = 'none';
+        }
+    });
+}
+
+function isGamingFeatureOpen(feature) {
+    const section = document.getElementById(GAMING_SECTION_IDS[feature]);
+    return Boolean(section) && section.style.display !== 'none';
+}
+
+// URL of a feature in its current state, e.g. "/compare/6/9"
+function getFeatureRoute(feature) {
+    const currentPokemon = getCurrentDisplayedPokemon();
+    switch (feature) {
+        case 'comparison':
+            return getComparisonRoute();
+        case 'battle':
+            return getBattleRoute();
+        case 'evolution':
+            return currentPokemon ? `/evolution/${currentPokemon.id}` : '/evolution';
+        case 'moves':
+            return currentPokemon ? `/moves/${currentPokemon.id}` : '/moves';
+        case 'browse':
+            return getBrowseRoute();
+        default:
+            return `/${feature}`;
+    }
+}
+
+// Routes for the gaming features - the router calls these on load and on back/forward
+// e.g. #/compare/6/9, #/battle/25/6, #/evolution/133, #/moves/25, #/quiz, #/browse/johto, #/team
+// Invalid Pokemon in a link are left out, and the URL is rewritten without them
+function registerGamingRoutes() {
+    registerRoute('/compare/:p1?/:p2?/:p3?/:p4?/:p5?/:p6?', async params => {
+        openGamingFeature('comparison');
+        await setComparisonPokemon(Object.values(params).map(getPokemonParam));
+    });
     
-    if (!section) return;
-    
-    const isActive = button.classList.contains('active');
+    registerRoute('/battle/:attacker?/:defender?', async ({ attacker, defender }) => {
+        openGamingFeature('battle');
+        await setBattlePokemon(getPokemonParam(attacker), getPokemonParam(defender));
+    });
     
-    // Remove active state from all buttons and hide all sections
-    document.querySelectorAll('.gaming-btn').forEach(btn => btn.classList.remove('active'));
-    document.querySelectorAll('#comparison-tool, #battle-calculator, #evolution-chain, #quiz-game, #moveset-display').forEach(sec => sec.style.display = 'none');
+    registerRoute('/evolution/:pokemon?', async params => {
+        const pokemon = getPokemonParam(params.pokemon);
+        openGamingFeature('evolution', { initialize: !pokemon });
+        if (pokemon) {
+            await showEvolutionChain(pokemon);
+        } else if (params.pokemon) {
+            updateRoute(getFeatureRoute('evolution'));
+        }
+    });
     
-    if (!isActive) {
-        // Activate the selected feature
-        button.classList.add('active');
-        section.style.display = 'block';
-        
-        // Initialize feature-specific functionality
-        switch(feature) {
-            case 'comparison':
-                initializeComparison();
-                break;
-            case 'battle':
-                initializeBattle();
-                break;
-            case 'evolution':
-                initializeEvolution();
-                break;
-            case 'quiz':
-                initializeQuiz();
-                break;
-            case 'moves':
-                initializeMoves();
-                break;
+    registerRoute('/moves/:pokemon?', async params => {
+        const pokemon = getPokemonParam(params.pokemon);
+        openGamingFeature('moves', { initialize: !pokemon });
+        if (pokemon) {
+            await showPokemonMoves(pokemon);
+        } else if (params.pokemon) {
+            updateRoute(getFeatureRoute('moves'));
         }
-    }
+    });
+    
+    registerRoute('/quiz', () => {
+        openGamingFeature('quiz');
+    });
+    
+    registerRoute('/browse/:region?', ({ region }) => {
+        openGamingFeature('browse', { initialize: false });
+        initializeBrowse(region);
+    });
+    
+    registerRoute('/team', () => {
+        openGamingFeature('team');
+    });
 }
 
 // =============================================================================
@@ -109,11 +204,18 @@ function initializeComparison() {
     updateComparisonDisplay();
 }
 
-export async function addToComparison(pokemonName, slot) {
+export async function addToComparison(pokemonName) {
+    if (currentComparison.length >= MAX_COMPARISON_SIZE) {
+        alert(`You can compare up to ${MAX_COMPARISON_SIZE} Pokémon at once`);
+        return;
+    }
+    
     try {
         const pokemon = await fetchPokemon(pokemonName);
         if (pokemon) {
-            currentComparisonSlots[slot] = pokemon;
+            // The same Pokemon twice would only repeat its column
+            if (currentComparison.some(p => p.id === pokemon.id)) return;
+            currentComparison.push(pokemon);
             updateComparisonDisplay();
         }
     } catch (error) {
@@ -122,25 +224,63 @@ export async function addToComparison(pokemonName, slot) {
     }
 }
 
+// Fill the comparison from a list of names or IDs (used by the router for #/compare/6/9/3)
+export async function setComparisonPokemon(pokemonNames) {
+    const names = pokemonNames.filter(Boolean).slice(0, MAX_COMPARISON_SIZE);
+    const pokemonList = await Promise.all(names.map(name => fetchPokemon(name).catch(() => null)));
+    
+    currentComparison = pokemonList.filter(Boolean);
+    updateComparisonDisplay();
+}
+
 function updateComparisonDisplay() {
-    displayComparisonResult(currentComparisonSlots.slot1, currentComparisonSlots.slot2);
+    const { stat, direction } = comparisonSort;
+    const pokemonList = stat ? sortByStat(currentComparison, stat, direction) : currentComparison;
+    
+    displayComparisonResult(pokemonList, {
+        stats: compareStats(pokemonList),
+        sharedWeaknesses: getSharedWeaknesses(pokemonList),
+        sort: comparisonSort,
+        // Each Pokemon keeps the color of the position it was added in, however the columns are sorted
+        colorIndexes: pokemonList.map(pokemon => currentComparison.indexOf(pokemon))
+    });
+    
+    // Keep the URL in sync while the comparison is open
+    if (isGamingFeatureOpen('comparison')) {
+        updateRoute(getComparisonRoute());
+    }
 }
 
-export function addPokemonToSlot(slotId) {
-    const input = document.getElementById(`${slotId}-input`);
+// "/compare/6/9/3" - IDs of the compared Pokemon in the order they were added
+function getComparisonRoute() {
+    return ['/compare', ...currentComparison.map(pokemon => pokemon.id)].join('/');
+}
+
+export function addComparisonPokemon() {
+    const input = document.getElementById('comparison-input');
     if (input && input.value.trim()) {
-        addToComparison(input.value.trim(), slotId);
+        addToComparison(input.value.trim());
+        input.value = '';
     }
 }
 
-export function removeFromComparison(slotId) {
-    currentComparisonSlots[slotId] = null;
+export function removeFromComparison(pokemonId) {
+    currentComparison = currentComparison.filter(pokemon => pokemon.id !== pokemonId);
     updateComparisonDisplay();
 }
 
 export function clearComparison() {
-    currentComparisonSlots.slot1 = null;
-    currentComparisonSlots.slot2 = null;
+    currentComparison = [];
+    updateComparisonDisplay();
+}
+
+// Order the columns by a stat - choosing the same stat again flips the direction
+export function sortComparison(statName) {
+    if (comparisonSort.stat === statName) {
+        comparisonSort.direction = comparisonSort.direction === 'desc' ? 'asc' : 'desc';
+    } else {
+        comparisonSort = { stat: statName, direction: 'desc' };
+    }
     updateComparisonDisplay();
 }
 
@@ -157,6 +297,10 @@ export async function addToBattle(pokemonName, role) {
         const pokemon = await fetchPokemon(pokemonName);
         if (pokemon) {
             currentBattleSetup[role] = pokemon;
+            currentBattleSetup.spreads[role] = null;
+            if (role === 'attacker') {
+                currentBattleSetup.move = DEFAULT_CUSTOM_MOVE; // The old move may not be in the new learnset
+            }
             updateBattleDisplay();
         }
     } catch (error) {
@@ -165,13 +309,66 @@ export async function addToBattle(pokemonName, role) {
     }
 }
 
+// Set both battle roles from names or IDs (used by the router for #/battle/25/6)
+export async function setBattlePokemon(attackerName, defenderName) {
+    const [attacker, defender] = await Promise.all([attackerName, defenderName].map(name =>
+        name && name !== '-' ? fetchPokemon(name).catch(() => null) : null
+    ));
+    
+    if (attacker?.id !== currentBattleSetup.attacker?.id) {
+        currentBattleSetup.move = DEFAULT_CUSTOM_MOVE;
+    }
+    currentBattleSetup.attacker = attacker;
+    currentBattleSetup.defender = defender;
+    currentBattleSetup.spreads = {};
+    updateBattleDisplay();
+}
+
+// Fill both battle roles from imported sets: { pokemon, level, move, spread } or null to leave a role empty
+// The sets' stat spreads stay with the battle roles (the stat calculator's saved spreads are
+// left alone), and "Use saved stat spread" is ticked so they are used
+export function setBattleSets(attackerSet, defenderSet) {
+    currentBattleSetup.attacker = attackerSet?.pokemon || null;
+    currentBattleSetup.defender = defenderSet?.pokemon || null;
+    currentBattleSetup.move = attackerSet?.move || DEFAULT_CUSTOM_MOVE;
+    currentBattleSetup.spreads = { attacker: attackerSet?.spread || null, defender: defenderSet?.spread || null };
+    updateBattleDisplay();
+    
+    // The slots were just rendered with their defaults - now apply the sets
+    [['attacker', attackerSet], ['defender', defenderSet]].forEach(([role, set]) => {
+        if (!set) return;
+        const levelInput = document.getElementById(`${role}-level`);
+        const spreadCheckbox = document.getElementById(`${role}-use-spread`);
+        if (levelInput) levelInput.value = set.level;
+        if (spreadCheckbox) spreadCheckbox.checked = true;
+    });
+    calculateBattleDamage();
+}
+
+// The Pokemon currently chosen as attacker and defender (used by the battle simulator)
+export function getBattleSetup() {
+    return { ...currentBattleSetup };
+}
+
 function updateBattleDisplay() {
-    displayBattleResult(currentBattleSetup.attacker, currentBattleSetup.defender);
+    displayBattleResult(currentBattleSetup.attacker, currentBattleSetup.defender, currentBattleSetup.move);
     
     // Update battle calculation if both Pokemon are present
     if (currentBattleSetup.attacker && currentBattleSetup.defender) {
         calculateBattleDamage();
     }
+    
+    // Keep the URL in sync while the calculator is open
+    if (isGamingFeatureOpen('battle')) {
+        updateRoute(getBattleRoute());
+    }
+}
+
+// "/battle/25/6" - attacker ID, then defender ID ("-" for an empty attacker slot)
+function getBattleRoute() {
+    const { attacker, defender } = currentBattleSetup;
+    if (!attacker && !defender) return '/battle';
+    return `/battle/${attacker ? attacker.id : '-'}${defender ? `/${defender.id}` : ''}`;
 }
 
 export function addPokemonToBattle(role) {
@@ -183,6 +380,10 @@ export function addPokemonToBattle(role) {
 
 export function removeFromBattle(role) {
     currentBattleSetup[role] = null;
+    currentBattleSetup.spreads[role] = null;
+    if (role === 'attacker') {
+        currentBattleSetup.move = DEFAULT_CUSTOM_MOVE;
+    }
     updateBattleDisplay();
     
     // Clear battle result
@@ -200,56 +401,74 @@ export function calculateBattleDamage() {
     
     // Get battle parameters
     const attackerLevel = parseInt(document.getElementById('attacker-level')?.value || 50);
-    const movePower = parseInt(document.getElementById('attacker-move-power')?.value || 80);
-    const moveType = document.getElementById('attacker-move-type')?.value || 'normal';
-    
-    // Calculate type effectiveness (simplified)
-    const defenderTypes = defender.types.map(t => t.type.name);
-    let effectiveness = 1;
-    
-    // Basic type effectiveness calculation
-    const typeChart = {
-        fire: { weak: ['water', 'ground', 'rock'], resist: ['fire', 'grass', 'ice', 'bug', 'steel', 'fairy'] },
-        water: { weak: ['electric', 'grass'], resist: ['fire', 'water', 'ice', 'steel'] },
-        grass: { weak: ['fire', 'ice', 'poison', 'flying', 'bug'], resist: ['water', 'electric', 'grass', 'ground'] },
-        electric: { weak: ['ground'], resist: ['electric', 'flying', 'steel'] }
+    const defenderLevel = parseInt(document.getElementById('defender-level')?.value || 50);
+    const move = currentBattleSetup.move;
+    const conditions = {
+        critical: document.getElementById('battle-critical')?.checked || false,
+        burned: document.getElementById('attacker-burned')?.checked || false,
+        weather: document.getElementById('battle-weather')?.value || 'none'
     };
     
-    defenderTypes.forEach(defType => {
-        const chart = typeChart[defType];
-        if (chart) {
-            if (chart.weak.includes(moveType)) effectiveness *= 2;
-            if (chart.resist.includes(moveType)) effectiveness *= 0.5;
-        }
-    });
-    
-    // Basic damage calculation
-    const attackStat = attacker.stats.find(s => s.stat.name === 'attack').base_stat;
-    const defenseStat = defender.stats.find(s => s.stat.name === 'defense').base_stat;
-    
-    const baseDamage = Math.floor(
-        ((((2 * attackerLevel / 5 + 2) * movePower * attackStat / defenseStat) / 50) + 2) * effectiveness
-    );
+    try {
+        const result = calculateMoveDamage(
+            getBattler(attacker, attackerLevel, 'attacker'),
+            getBattler(defender, defenderLevel, 'defender'),
+            move,
+            conditions
+        );
+        displayDamageResult(result, attacker.name, defender.name);
+    } catch (error) {
+        displayDamageError(error.message);
+    }
+}
+
+// Pick a move by name - from the attacker's learnset or any other move for "what if" cases
+// Fills in power, type, damage class, accuracy and priority from the move endpoint
+export async function selectBattleMove(moveName) {
+    const name = normalizePokemonQuery(moveName);
+    if (!name) return;
     
-    // Display result
-    const resultElement = document.getElementById('battle-result');
-    if (resultElement) {
-        let effectivenessText = '';
-        if (effectiveness < 1) effectivenessText = "It's not very effective...";
-        else if (effectiveness > 1) effectivenessText = "It's super effective!";
-        else effectivenessText = "It's normally effective.";
-        
-        resultElement.innerHTML = `
-            <div class="battle-result">
-                <h4>Battle Result</h4>
-                <p><strong>Damage:</strong> ${baseDamage} HP</p>
-                <p><strong>Effectiveness:</strong> ${effectiveness}x</p>
-                <p><em>${effectivenessText}</em></p>
-            </div>
-        `;
+    try {
+        const moveData = await fetchMove(name);
+        currentBattleSetup.move = toBattleMove(moveData);
+        displayBattleMove(currentBattleSetup.move);
+        calculateBattleDamage();
+    } catch (error) {
+        console.error('Error loading move:', error);
+        displayDamageError(error.status === 404 ? `There is no move called "${moveName}".` : 'Failed to load the move. Please try again.');
     }
 }
 
+// Editing the type, power or category turns the move into a custom one
+// Accuracy and priority are kept from the move it was based on
+export function updateCustomMove() {
+    const power = parseInt(document.getElementById('attacker-move-power')?.value);
+    currentBattleSetup.move = {
+        ...currentBattleSetup.move,
+        name: null,
+        power: Number.isNaN(power) ? null : power,
+        type: document.getElementById('attacker-move-type')?.value || 'normal',
+        damageClass: document.getElementById('attacker-move-category')?.value || 'physical'
+    };
+    displayBattleMove(currentBattleSetup.move);
+    calculateBattleDamage();
+}
+
+// The battle engine works with types and real stats at the chosen level
+// Stats use the IVs, EVs and nature of an imported set, or else the ones saved in the stat calculator,
+// when that box is ticked - otherwise perfect IVs, no EVs and a neutral nature
+function getBattler(pokemon, level, role) {
+    const useSavedSpread = document.getElementById(`${role}-use-spread`)?.checked;
+    const savedSpread = useSavedSpread ? currentBattleSetup.spreads[role] || getSavedSpread(pokemon.id) : null;
+    const spread = savedSpread ? { ...savedSpread, level } : getDefaultSpread(level);
+    
+    return {
+        level,
+        types: pokemon.types.map(t => t.type.name),
+        stats: calculateStats(pokemon, spread)
+    };
+}
+
 // =============================================================================
 // EVOLUTION CHAIN VIEWER
 // =============================================================================
@@ -266,15 +485,16 @@ export async function showEvolutionChain(pokemonName) {
         const pokemon = await fetchPokemon(pokemonName);
         if (!pokemon) return;
         
-        // Fetch species data to get evolution chain URL
-        const speciesResponse = await fetch(pokemon.species.url);
-        const speciesData = await speciesResponse.json();
+        // Species data holds the evolution chain URL
+        const speciesData = await fetchByUrl(pokemon.species.url);
+        const evolutionData = await fetchByUrl(speciesData.evolution_chain.url);
         
-        // Fetch evolution chain
-        const evolutionResponse = await fetch(speciesData.evolution_chain.url);
-        const evolutionData = await evolutionResponse.json();
+        const evolutionTree = await loadEvolutionTree(evolutionData.chain);
+        displayEvolutionChain(evolutionTree, pokemon.species.name);
         
-        await displayEvolutionChain(evolutionData.chain);
+        if (isGamingFeatureOpen('evolution')) {
+            updateRoute(`/evolution/${pokemon.id}`);
+        }
         
     } catch (error) {
         console.error('Error fetching evolution chain:', error);
@@ -285,123 +505,32 @@ export async function showEvolutionChain(pokemonName) {
     }
 }
 
-// =============================================================================
-// POKEMON QUIZ GAME
-// =============================================================================
-
-function initializeQuiz() {
-    generateNewQuizQuestion();
-}
-
-export async function generateNewQuizQuestion() {
-    try {
-        // Generate random Pokemon for the question
-        const randomId = getRandomPokemonId();
-        const correctPokemon = await fetchPokemon(randomId.toString());
-        
-        if (!correctPokemon) {
-            generateNewQuizQuestion(); // Try again
-            return;
-        }
-        
-        // Generate 3 additional random options
-        const options = [correctPokemon];
-        while (options.length < 4) {
-            const optionId = getRandomPokemonId();
-            try {
-                const optionPokemon = await fetchPokemon(optionId.toString());
-                if (optionPokemon && !options.find(p => p.id === optionPokemon.id)) {
-                    options.push(optionPokemon);
-                }
-            } catch (error) {
-                // Skip if Pokemon can't be fetched
-                continue;
-            }
-        }
-        
-        // Shuffle options
-        for (let i = options.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [options[i], options[j]] = [options[j], options[i]];
-        }
-        
-        currentQuizGame.currentPokemon = correctPokemon;
-        currentQuizGame.options = options;
-        currentQuizGame.revealed = false;
-        
-        displayQuizQuestion(currentQuizGame);
-        
-    } catch (error) {
-        console.error('Error generating quiz question:', error);
-        const quizContainer = document.getElementById('quiz-container');
-        if (quizContainer) {
-            quizContainer.innerHTML = '<p>Error generating quiz question. Please try again.</p>';
-        }
-    }
-}
-
-export function selectQuizAnswer(optionIndex) {
-    const selectedPokemon = currentQuizGame.options[optionIndex];
-    const correctPokemon = currentQuizGame.currentPokemon;
-    const isCorrect = selectedPokemon.id === correctPokemon.id;
+// Walk the whole evolution tree and load the Pokemon data for every stage
+// so the view only has to render what it is given
+// Returns { name, pokemon, details, children } - details are the ways to evolve into this stage
+// (empty for the first stage), children the stages it can evolve into (Eevee has eight)
+async function loadEvolutionTree(chainLink) {
+    const [pokemon, children] = await Promise.all([
+        fetchPokemonOrDefaultForm(chainLink.species.name).catch(error => {
+            // A missing stage keeps its name, so the rest of the tree still shows
+            console.error('Error fetching evolution stage:', error);
+            return null;
+        }),
+        Promise.all(chainLink.evolves_to.map(loadEvolutionTree))
+    ]);
     
-    // Update score
-    if (isCorrect) {
-        currentQuizGame.score += 10;
-        currentQuizGame.streak++;
-    } else {
-        currentQuizGame.streak = 0;
-    }
-    
-    // Update UI
-    const options = document.querySelectorAll('.quiz-option');
-    options.forEach((option, index) => {
-        option.classList.add('disabled');
-        if (index === optionIndex) {
-            option.classList.add(isCorrect ? 'correct' : 'incorrect');
-        }
-        if (currentQuizGame.options[index].id === correctPokemon.id) {
-            option.classList.add('correct');
-        }
-    });
-    
-    // Reveal the image
-    revealQuizAnswer();
-    
-    // Show next question button
-    setTimeout(() => {
-        const actionsDiv = document.querySelector('.quiz-actions');
-        if (actionsDiv) {
-            actionsDiv.innerHTML = `
-                <button onclick="window.generateNewQuizQuestion?.()" class="action-btn">➡️ Next Question</button>
-                <button onclick="window.resetQuizGame?.()" class="action-btn secondary">🔄 Reset Game</button>
-            `;
-        }
-    }, 2000);
-}
-
-export function revealQuizAnswer() {
-    const quizImage = document.getElementById('quiz-image');
-    if (quizImage) {
-        quizImage.classList.remove('silhouette');
-        quizImage.classList.add('revealed');
-        currentQuizGame.revealed = true;
-    }
-}
-
-export function resetQuizGame() {
-    currentQuizGame.score = 0;
-    currentQuizGame.streak = 0;
-    generateNewQuizQuestion();
+    return {
+        name: chainLink.species.name,
+        pokemon,
+        details: chainLink.evolution_details,
+        children
+    };
 }
 
 // Additional helper functions for HTML compatibility
 export function showBattleCalculator() {
-    const battleSection = document.getElementById('battle-calculator');
-    if (battleSection) {
-        battleSection.style.display = 'block';
-        initializeBattle();
-    }
+    openGamingFeature('battle');
+    updateRoute(getBattleRoute());
 }
 
 export function calculateDamage() {
@@ -409,14 +538,6 @@ export function calculateDamage() {
     calculateBattleDamage();
 }
 
-export function startQuizGame() {
-    const quizSection = document.getElementById('quiz-game');
-    if (quizSection) {
-        quizSection.style.display = 'block';
-        resetQuizGame();
-    }
-}
-
 // =============================================================================
 // MOVESET DISPLAY
 // =============================================================================
@@ -436,8 +557,7 @@ export async function showPokemonMoves(pokemonName) {
         // Get first 20 moves to avoid too many API calls
         const movePromises = pokemon.moves.slice(0, 20).map(async moveObj => {
             try {
-                const moveResponse = await fetch(moveObj.move.url);
-                const moveData = await moveResponse.json();
+                const moveData = await fetchMove(moveObj.move.name);
                 return {
                     name: moveData.name,
                     type: moveData.type.name,
@@ -454,6 +574,10 @@ export async function showPokemonMoves(pokemonName) {
         const moves = (await Promise.all(movePromises)).filter(move => move !== null);
         displayMoveset(moves, pokemon.name);
         
+        if (isGamingFeatureOpen('moves')) {
+            updateRoute(`/moves/${pokemon.id}`);
+        }
+        
     } catch (error) {
         console.error('Error fetching Pokemon moves:', error);
         const movesetContainer = document.getElementById('moveset-container');
@@ -507,7 +631,11 @@ function getCurrentDisplayedPokemon() {
     if (!pokemonCard) return null;
     
     const nameElement = pokemonCard.querySelector('.pokemon-name');
+    const idElement = pokemonCard.querySelector('.pokemon-id');
     if (!nameElement) return null;
     
-    return { name: nameElement.textContent.toLowerCase() };
+    return {
+        name: nameElement.textContent.toLowerCase(),
+        id: idElement ? parseInt(idElement.textContent.replace('#', '')) : null
+    };
 }
\ No newline at end of file
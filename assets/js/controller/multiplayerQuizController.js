@@ -0,0 +1,242 @@
+// Multiplayer Quiz Controller - Handles hot-seat quiz matches on one device
+// This file reads the match setup, loads a question for every turn or buzz round,
+// listens for the players' buzz keys and shows the podium when the match is over
+
+// Import dependencies
+import { DEFAULT_QUIZ_MODE, normalizeQuizMode, isCorrectAnswer } from '../Model/quizModes.js';
+import { takeQuizQuestion } from '../Model/quizQuestions.js';
+import {
+    MIN_PLAYERS,
+    MAX_PLAYERS,
+    DEFAULT_ROUNDS,
+    createMatch,
+    isMatchOver,
+    startNextQuestion,
+    getAnsweringPlayer,
+    findBuzzPlayer,
+    buzzIn,
+    scoreMatchAnswer,
+    getMatchRanking
+} from '../Model/quizMultiplayer.js';
+import {
+    displayMultiplayerSetup,
+    showMultiplayerStatus,
+    displayMultiplayerQuestion,
+    displayMultiplayerPodium,
+    displayMultiplayerError
+} from '../view/multiplayerQuizDisplay.js';
+import { preloadQuizImages } from '../view/quizDisplay.js';
+
+// The last setup, so a rematch or a new setup starts from the same players and mode
+let matchSetup = {
+    names: ['Player 1', 'Player 2'],
+    style: 'turns',
+    rounds: DEFAULT_ROUNDS,
+    mode: { ...DEFAULT_QUIZ_MODE }
+};
+
+// currentTurn is null once the podium is shown
+// wrongIndexes are the options already answered wrong - in buzz matches the others may still answer
+let currentMatch = null;
+let currentTurn = null;
+let questionRequest = 0; // Only the newest question request may show its question
+let isBuzzListenerAdded = false;
+
+// =============================================================================
+// SETUP
+// =============================================================================
+
+export function showMultiplayerSetup() {
+    stopMultiplayerQuiz();
+    displayMultiplayerSetup(matchSetup);
+}
+
+// Keep what was typed in, so adding or removing a player doesn't lose it
+function readMatchSetup() {
+    const nameInputs = document.querySelectorAll('.multiplayer-name');
+    if (nameInputs.length === 0) return;
+    
+    matchSetup = {
+        names: [...nameInputs].map(input => input.value),
+        style: document.querySelector('input[name="multiplayer-style"]:checked')?.value || matchSetup.style,
+        rounds: parseInt(document.getElementById('multiplayer-rounds')?.value, 10),
+        // Blitz and practice are single player settings
+        mode: normalizeQuizMode({
+            kind: document.querySelector('input[name="quiz-kind"]:checked')?.value,
+            pool: document.getElementById('quiz-pool')?.value,
+            difficulty: document.getElementById('quiz-difficulty')?.value
+        })
+    };
+}
+
+export function addMultiplayerPlayer() {
+    readMatchSetup();
+    if (matchSetup.names.length < MAX_PLAYERS) {
+        matchSetup.names.push(`Player ${matchSetup.names.length + 1}`);
+    }
+    displayMultiplayerSetup(matchSetup);
+}
+
+export function removeMultiplayerPlayer(index) {
+    readMatchSetup();
+    if (matchSetup.names.length > MIN_PLAYERS) {
+        matchSetup.names.splice(index, 1);
+    }
+    displayMultiplayerSetup(matchSetup);
+}
+
+export function startMultiplayerQuiz() {
+    readMatchSetup();
+    startMatch();
+}
+
+// Same players, rounds and mode - everyone back to zero points
+export function rematchMultiplayerQuiz() {
+    startMatch();
+}
+
+function startMatch() {
+    try {
+        currentMatch = createMatch(matchSetup.names, matchSetup.rounds, matchSetup.style);
+    } catch (error) {
+        showMultiplayerStatus(error.message);
+        return;
+    }
+    
+    addBuzzListener();
+    nextMultiplayerQuestion();
+}
+
+// Stop the match, e.g. when going back to the mode picker
+export function stopMultiplayerQuiz() {
+    currentMatch = null;
+    currentTurn = null;
+    questionRequest++; // A question still loading belongs to the old match
+}
+
+export function isMultiplayerQuizRunning() {
+    return currentMatch !== null;
+}
+
+// Show the running match again when the quiz is reopened
+export function showMultiplayerMatch() {
+    if (!currentMatch) return;
+    
+    if (currentTurn) {
+        displayMultiplayerQuestion(currentMatch, matchSetup.mode, currentTurn);
+    } else {
+        displayMultiplayerPodium(currentMatch, getMatchRanking(currentMatch));
+    }
+}
+
+// =============================================================================
+// QUESTIONS
+// =============================================================================
+
+// Move on to the next turn or buzz round, or to the podium after the last one
+export function nextMultiplayerQuestion() {
+    const match = currentMatch;
+    if (!match) return;
+    
+    if (isMatchOver(match)) {
+        currentTurn = null;
+        displayMultiplayerPodium(match, getMatchRanking(match));
+        return;
+    }
+    
+    startNextQuestion(match);
+    loadQuestion(match);
+}
+
+// Load the question again after an error - still the same turn
+export function retryMultiplayerQuestion() {
+    if (currentMatch && currentTurn) {
+        loadQuestion(currentMatch);
+    }
+}
+
+async function loadQuestion(match) {
+    const request = ++questionRequest;
+    const turn = { question: null, wrongIndexes: [], isOver: false, lastResult: null };
+    currentTurn = turn;
+    displayMultiplayerQuestion(match, matchSetup.mode, turn);
+    
+    try {
+        const question = await takeQuizQuestion(matchSetup.mode, preloadQuizImages);
+        if (request !== questionRequest) return; // The match ended meanwhile
+        
+        turn.question = question;
+        displayMultiplayerQuestion(match, matchSetup.mode, turn);
+    } catch (error) {
+        if (request !== questionRequest) return;
+        console.error('Error generating quiz question:', error);
+        displayMultiplayerError('Error generating quiz question. Please try again.');
+    }
+}
+
+// =============================================================================
+// ANSWERS
+// =============================================================================
+
+// Buzz in by key or by tapping the player on the scoreboard
+export function buzzMultiplayerPlayer(playerIndex) {
+    if (!currentMatch || !currentTurn?.question || currentTurn.isOver) return;
+    
+    if (buzzIn(currentMatch, playerIndex)) {
+        displayMultiplayerQuestion(currentMatch, matchSetup.mode, currentTurn);
+    }
+}
+
+export function selectMultiplayerAnswer(optionIndex) {
+    const match = currentMatch;
+    const turn = currentTurn;
+    if (!match || !turn?.question || turn.isOver) return;
+    if (getAnsweringPlayer(match) === null || turn.wrongIndexes.includes(optionIndex)) return;
+    
+    const isCorrect = isCorrectAnswer(turn.question, optionIndex);
+    const result = scoreMatchAnswer(match, isCorrect);
+    if (!isCorrect) {
+        turn.wrongIndexes.push(optionIndex);
+    }
+    turn.lastResult = result;
+    turn.isOver = result.isQuestionOver;
+    
+    displayMultiplayerQuestion(match, matchSetup.mode, turn);
+}
+
+// Nobody knows the answer - show it without points for anyone
+export function revealMultiplayerAnswer() {
+    const turn = currentTurn;
+    if (!currentMatch || !turn?.question || turn.isOver) return;
+    
+    turn.isOver = true;
+    turn.lastResult = null;
+    displayMultiplayerQuestion(currentMatch, matchSetup.mode, turn);
+}
+
+// =============================================================================
+// BUZZ KEYS
+// =============================================================================
+
+function addBuzzListener() {
+    if (isBuzzListenerAdded) return;
+    
+    document.addEventListener('keydown', handleBuzzKey);
+    isBuzzListenerAdded = true;
+}
+
+function handleBuzzKey(event) {
+    if (!currentMatch || currentMatch.style !== 'buzz') return;
+    if (event.repeat || event.ctrlKey || event.metaKey || event.altKey) return;
+    
+    // Typing somewhere else isn't buzzing, and neither is pressing keys while the quiz is closed
+    const tagName = event.target?.tagName;
+    if (tagName === 'INPUT' || tagName === 'SELECT' || tagName === 'TEXTAREA') return;
+    if (document.getElementById('quiz-game')?.style.display === 'none') return;
+    
+    const playerIndex = findBuzzPlayer(currentMatch, event.key);
+    if (playerIndex === -1) return;
+    
+    event.preventDefault();
+    buzzMultiplayerPlayer(playerIndex);
+}
@@ -2,14 +2,36 @@
 // This file coordinates between the Pokemon API model and display views
 
 // Import dependencies
-import { fetchPokemon } from '../Model/pokeapi.js';
+import { fetchPokemon, isAbortError } from '../Model/pokeapi.js';
 import { getRandomPokemonId } from '../Model/pokemonData.js';
+import { loadPokemonIndex, findClosestPokemonNames } from '../Model/pokemonIndex.js';
+import { isStructuredQuery, parseSearchQuery, runSearchQuery } from '../Model/searchQuery.js';
+import { loadPokemonTypeMap } from '../Model/pokedexBrowser.js';
 import { toggleFavorite, removeFavorite } from '../Model/favoritesPokemon.js';
-import { displayPokemon, showError, showLoadingState, hideLoadingState } from '../view/pokemonDisplay.js';
+import { displayPokemon, showError, showLoadingState, hideLoadingState, showRetryingState } from '../view/pokemonDisplay.js';
 import { updateFavoritesDisplay, updateFavoriteButton } from '../view/favoritesView.js';
+import { showSearchResultsLoading, showSearchResultsProgress, displaySearchResults, showSearchResultsError, hideSearchResults } from '../view/searchResultsDisplay.js';
+import { updateBrowseTypes } from '../view/browseDisplay.js';
+import { updateRoute } from './router.js';
+import { showStatCalculator } from './statController.js';
+
+// The AbortController of the search currently in progress
+// Starting a new search aborts the previous one, so a slow earlier response
+// can never overwrite the result of a newer search in #output
+let activeSearchController = null;
+
+// Same idea for structured queries, which can take many requests to answer
+let activeQueryController = null;
 
 // Main search function that coordinates Model and View
 export async function searchPokemon(name) {
+    // Cancel any search that is still waiting on the network
+    if (activeSearchController) {
+        activeSearchController.abort();
+    }
+    const searchController = new AbortController();
+    activeSearchController = searchController;
+    
     // Show loading state
     showLoadingState();
     
@@ -21,21 +43,96 @@ export async function searchPokemon(name) {
     }
     
     try {
-        // Get data from model
-        const pokemonData = await fetchPokemon(name);
+        // Get data from model - retries are reported in the loading UI
+        const pokemonData = await fetchPokemon(name, {
+            signal: searchController.signal,
+            onRetry: showRetryingState
+        });
         
         // Display data using view
         displayPokemon(pokemonData);
+        showStatCalculator(pokemonData);
+        
+        // Make the Pokemon bookmarkable: #/pokemon/25
+        updateRoute(`/pokemon/${pokemonData.id}`);
         
         // Update favorite button state
         updateFavoriteButton(pokemonData);
         
     } catch (error) {
+        // A cancelled search was replaced by a newer one - leave the UI to it
+        if (isAbortError(error)) return;
+        
+        // A name that does not exist is most likely a typo - offer the closest valid names
+        const suggestions = error.status === 404 ? await getNameSuggestions(name) : [];
+        if (activeSearchController !== searchController) return;
+        
         // Handle errors using view
-        showError(error.message);
+        showError(error.message, { suggestions });
+    } finally {
+        // Hide loading state, unless a newer search has taken over
+        if (activeSearchController === searchController) {
+            activeSearchController = null;
+            hideLoadingState();
+        }
+    }
+}
+
+// Structured query controller - "type:fire gen:1 speed>100" shows a list of matches
+// in the results panel instead of a single Pokemon
+export async function searchByQuery(query) {
+    if (activeQueryController) {
+        activeQueryController.abort();
+    }
+    
+    const { filters, errors } = parseSearchQuery(query);
+    if (errors.length > 0) {
+        showSearchResultsError(errors);
+        return;
+    }
+    
+    const queryController = new AbortController();
+    activeQueryController = queryController;
+    showSearchResultsLoading(query);
+    
+    try {
+        const results = await runSearchQuery(filters, {
+            signal: queryController.signal,
+            onProgress: showSearchResultsProgress
+        });
+        
+        displaySearchResults(query, results);
+        
+        // Type badges arrive separately, like in the Pokédex browser
+        loadPokemonTypeMap()
+            .then(typeMap => updateBrowseTypes(typeMap, '#search-results-grid'))
+            .catch(error => console.warn('Could not load types for search results:', error));
+        
+    } catch (error) {
+        // A newer query has taken over
+        if (isAbortError(error)) return;
+        
+        console.error('Error running search query:', error);
+        showSearchResultsError([error.message]);
     } finally {
-        // Hide loading state
-        hideLoadingState();
+        if (activeQueryController === queryController) {
+            activeQueryController = null;
+        }
+    }
+}
+
+// Closest valid Pokemon names for a search that returned 404
+// The index is usually loaded already; if it cannot be loaded we simply show no suggestions
+async function getNameSuggestions(name) {
+    // IDs have no "closest" name
+    if (/^\d+$/.test(name.toString().trim())) return [];
+    
+    try {
+        await loadPokemonIndex();
+        return findClosestPokemonNames(name);
+    } catch (error) {
+        console.warn('Could not load suggestions:', error);
+        return [];
     }
 }
 
@@ -107,12 +204,17 @@ function initializeSearchController() {
     const randomBtn = document.getElementById('random-btn');
     const surpriseBtn = document.getElementById('surprise-btn');
     const searchInput = document.getElementById('pokemon-search');
+    const resultsGrid = document.getElementById('search-results-grid');
+    const closeResultsBtn = document.getElementById('close-search-results');
 
     // Search button event listener
+    // Input with filters ("type:fire speed>100") runs a query, anything else is a name or ID
     if (searchBtn) {
         searchBtn.addEventListener('click', () => {
             const searchTerm = searchInput.value.trim();
-            if (searchTerm) {
+            if (searchTerm && isStructuredQuery(searchTerm)) {
+                searchByQuery(searchTerm);
+            } else if (searchTerm) {
                 searchPokemon(searchTerm);
             } else {
                 showError('Please enter a Pokémon name or ID!');
@@ -130,6 +232,20 @@ function initializeSearchController() {
         surpriseBtn.addEventListener('click', getSurprisePokemon);
     }
 
+    // Search results panel - clicking a result opens its detail card
+    if (resultsGrid) {
+        resultsGrid.addEventListener('click', (e) => {
+            const card = e.target.closest('.browse-card');
+            if (card) {
+                searchPokemon(card.dataset.pokemon);
+            }
+        });
+    }
+
+    if (closeResultsBtn) {
+        closeResultsBtn.addEventListener('click', hideSearchResults);
+    }
+
     // Keyboard event handling
     if (searchInput) {
         searchInput.addEventListener('keypress', (e) => {
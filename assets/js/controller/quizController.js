@@ -0,0 +1,294 @@
+// Quiz Controller - Handles the Pokémon quiz and its modes
+// This file starts games in the picked mode or today's daily challenge, loads each question,
+// scores the answers, saves them to the quiz stats and runs the countdown of blitz games
+// (multiplayer matches have their own controller, multiplayerQuizController.js)
+
+// Import dependencies
+import {
+    BLITZ_SECONDS,
+    CORRECT_ANSWER_POINTS,
+    DEFAULT_QUIZ_MODE,
+    normalizeQuizMode,
+    getQuizModeKey,
+    parseQuizModeKey,
+    getQuestionPokemon,
+    isCorrectAnswer
+} from '../Model/quizModes.js';
+import { createQuizQuestion, takeQuizQuestion } from '../Model/quizQuestions.js';
+import {
+    MISSED_POKEMON_LIMIT,
+    getModeStats,
+    getAllModeStats,
+    recordQuizGame,
+    updateModeBests,
+    recordPokemonAnswer,
+    getMissedPokemon,
+    clearQuizStats
+} from '../Model/quizStats.js';
+import {
+    getDailyDate,
+    getDailyQuestion,
+    getDailyResults,
+    isDailyChallengeFinished,
+    recordDailyAnswer,
+    formatDailyShareText
+} from '../Model/dailyChallenge.js';
+import { displayQuizModePicker, displayQuizLoading, displayQuizQuestion, displayQuizGameOver, displayDailyResult, displayQuizError, updateQuizTimer, preloadQuizImages } from '../view/quizDisplay.js';
+import { copyToClipboard } from '../view/utilityFunctions.js';
+import { stopMultiplayerQuiz, isMultiplayerQuizRunning, showMultiplayerMatch } from './multiplayerQuizController.js';
+
+// Blitz games move on by themselves shortly after an answer
+const BLITZ_NEXT_QUESTION_DELAY = 800;
+
+// selectedIndex is null until the question is answered, -1 when the answer was revealed instead
+// previousBest is the mode's best score when the game started, to spot a new best at the end
+// daily is { date } in a daily challenge, whose mode changes with every question
+let currentQuizGame = null;
+let quizMode = { ...DEFAULT_QUIZ_MODE }; // The mode preselected in the picker
+let blitzTimer = null;
+let questionRequest = 0; // Only the newest question request may show its question
+
+// Called every time the quiz is opened - a running game or multiplayer match carries on where it was
+export function initializeQuiz() {
+    if (isMultiplayerQuizRunning()) {
+        showMultiplayerMatch();
+    } else if (!currentQuizGame || currentQuizGame.over) {
+        showQuizModePicker();
+    } else if (currentQuizGame.question) {
+        displayQuizQuestion(currentQuizGame);
+    } else {
+        displayQuizLoading(currentQuizGame);
+    }
+}
+
+export function showQuizModePicker() {
+    finishQuizGame();
+    stopMultiplayerQuiz();
+    currentQuizGame = null;
+    
+    const modeStats = getAllModeStats().map(stats => ({ ...stats, mode: parseQuizModeKey(stats.key) }));
+    displayQuizModePicker(quizMode, modeStats, getMissedPokemon(MISSED_POKEMON_LIMIT), getDailyStatus());
+}
+
+// How far today's challenge is, for the mode picker
+function getDailyStatus() {
+    const date = getDailyDate();
+    const results = getDailyResults(date);
+    return {
+        date,
+        answered: results.length,
+        correct: results.filter(Boolean).length,
+        finished: isDailyChallengeFinished(date)
+    };
+}
+
+export function resetQuizStats() {
+    if (!confirm('Delete all quiz statistics and high scores?')) return;
+    
+    clearQuizStats();
+    showQuizModePicker();
+}
+
+// Start a game in the mode picked in the mode picker
+export function startQuizGame() {
+    quizMode = normalizeQuizMode({
+        kind: document.querySelector('input[name="quiz-kind"]:checked')?.value,
+        pool: document.getElementById('quiz-pool')?.value,
+        difficulty: document.getElementById('quiz-difficulty')?.value,
+        blitz: document.getElementById('quiz-blitz')?.checked,
+        practice: document.getElementById('quiz-practice')?.checked
+    });
+    startGame(quizMode);
+}
+
+// Start over in the same mode - a daily challenge can't be restarted
+export function resetQuizGame() {
+    startGame(currentQuizGame && !currentQuizGame.daily ? currentQuizGame.mode : quizMode);
+}
+
+function createQuizGame(mode, daily = null) {
+    return {
+        mode,
+        score: 0,
+        streak: 0,
+        answered: 0,
+        correct: 0,
+        question: null,
+        selectedIndex: null,
+        timeLeft: mode.blitz ? BLITZ_SECONDS : null,
+        previousBest: daily ? 0 : getModeStats(getQuizModeKey(mode)).bestScore,
+        over: false,
+        daily
+    };
+}
+
+function startGame(mode) {
+    finishQuizGame();
+    currentQuizGame = createQuizGame(mode);
+    
+    if (mode.blitz) {
+        startBlitzTimer(currentQuizGame);
+    }
+    generateNewQuizQuestion();
+}
+
+// Today's challenge - one attempt per day, so a started challenge continues
+// with its next question and a finished one shows its result again
+export function startDailyChallenge() {
+    finishQuizGame();
+    currentQuizGame = null;
+    
+    const date = getDailyDate();
+    if (isDailyChallengeFinished(date)) {
+        showDailyResult(date);
+        return;
+    }
+    
+    const results = getDailyResults(date);
+    const game = createQuizGame(getDailyQuestion(date, results.length).mode, { date });
+    game.answered = results.length;
+    game.correct = results.filter(Boolean).length;
+    game.score = game.correct * CORRECT_ANSWER_POINTS;
+    // The streak carries on from the right answers at the end of the earlier visit
+    game.streak = results.length - results.lastIndexOf(false) - 1;
+    
+    currentQuizGame = game;
+    generateNewQuizQuestion();
+}
+
+function showDailyResult(date) {
+    const results = getDailyResults(date);
+    displayDailyResult(date, results, formatDailyShareText(date, results));
+}
+
+export function copyDailyResult() {
+    const date = getDailyDate();
+    copyToClipboard(formatDailyShareText(date, getDailyResults(date)), 'Daily challenge result copied to clipboard!');
+}
+
+// Stop the current game - its score is already saved with every answer
+function finishQuizGame() {
+    stopBlitzTimer();
+    questionRequest++; // A question still loading belongs to the old game
+    
+    if (currentQuizGame) {
+        currentQuizGame.over = true;
+    }
+}
+
+// =============================================================================
+// QUESTIONS
+// =============================================================================
+
+export async function generateNewQuizQuestion() {
+    if (!currentQuizGame) {
+        startGame(quizMode);
+        return;
+    }
+    
+    const game = currentQuizGame;
+    if (game.over) return;
+    
+    if (game.daily && isDailyChallengeFinished(game.daily.date)) {
+        finishQuizGame();
+        showDailyResult(game.daily.date);
+        return;
+    }
+    
+    const request = ++questionRequest;
+    game.question = null;
+    game.selectedIndex = null;
+    
+    // Daily questions come from the date's seed - the same Pokemon for everyone, so they
+    // can't come from the question buffer, which skips the Pokemon already asked this session
+    let nextQuestion;
+    if (game.daily) {
+        const dailyQuestion = getDailyQuestion(game.daily.date, game.answered);
+        game.mode = dailyQuestion.mode;
+        nextQuestion = createQuizQuestion(game.mode, dailyQuestion.random);
+    } else {
+        nextQuestion = takeQuizQuestion(game.mode, preloadQuizImages);
+    }
+    displayQuizLoading(game);
+    
+    try {
+        const question = await nextQuestion;
+        if (request !== questionRequest) return; // Skipped again or the game ended meanwhile
+        
+        game.question = question;
+        displayQuizQuestion(game);
+    } catch (error) {
+        if (request !== questionRequest) return;
+        console.error('Error generating quiz question:', error);
+        displayQuizError('Error generating quiz question. Please try again.');
+    }
+}
+
+export function selectQuizAnswer(optionIndex) {
+    const game = currentQuizGame;
+    if (!game || game.over || !game.question || game.selectedIndex !== null) return;
+    
+    const isCorrect = isCorrectAnswer(game.question, optionIndex);
+    game.selectedIndex = optionIndex;
+    game.answered++;
+    if (isCorrect) {
+        game.score += CORRECT_ANSWER_POINTS;
+        game.streak++;
+        game.correct++;
+    } else {
+        game.streak = 0;
+    }
+    
+    // Daily challenges have their own results instead of mode high scores
+    if (game.daily) {
+        recordDailyAnswer(game.daily.date, isCorrect);
+    } else {
+        const key = getQuizModeKey(game.mode);
+        if (game.answered === 1) {
+            recordQuizGame(key);
+        }
+        updateModeBests(key, game.score, game.streak);
+    }
+    recordPokemonAnswer(getQuestionPokemon(game.question), isCorrect);
+    
+    displayQuizQuestion(game);
+    
+    if (game.mode.blitz) {
+        const question = game.question;
+        setTimeout(() => {
+            // Unless the player already moved on by hand
+            if (game === currentQuizGame && game.question === question) {
+                generateNewQuizQuestion();
+            }
+        }, BLITZ_NEXT_QUESTION_DELAY);
+    }
+}
+
+// Show the answer - this gives up the question, so it counts as a wrong answer
+export function revealQuizAnswer() {
+    selectQuizAnswer(-1);
+}
+
+// =============================================================================
+// BLITZ MODE
+// =============================================================================
+
+function startBlitzTimer(game) {
+    blitzTimer = setInterval(() => {
+        game.timeLeft--;
+        updateQuizTimer(game.timeLeft);
+        
+        if (game.timeLeft <= 0) {
+            const isNewBest = game.score > game.previousBest;
+            finishQuizGame();
+            displayQuizGameOver(game, isNewBest);
+        }
+    }, 1000);
+}
+
+function stopBlitzTimer() {
+    if (blitzTimer) {
+        clearInterval(blitzTimer);
+        blitzTimer = null;
+    }
+}
@@ -0,0 +1,132 @@
+// Router Controller - Keeps the URL hash and the app state in sync
+// This file maps hash routes like "#/pokemon/25" or "#/compare/6/9" to handler functions,
+// so views can be bookmarked, shared and reached with the back and forward buttons
+
+// Registered routes - { pattern, segments, handler }
+const routes = [];
+
+// The path the app is currently showing, e.g. "/pokemon/25"
+// Used to ignore URL changes we made ourselves
+let currentPath = null;
+
+// True while a route handler runs - URL updates made by the handler then
+// replace the history entry instead of adding new ones
+let isRestoringRoute = false;
+
+// Handler for URLs that match no route
+let fallbackHandler = null;
+
+// What a Pokemon in a link may be: a Pokédex number or a PokéAPI name like "mr-mime"
+const POKEMON_PARAM_PATTERN = /^[a-z0-9-]+$/;
+
+// Register a route
+// Patterns use ":name" for parameters and ":name?" for optional ones, e.g. "/compare/:first?/:second?"
+// The handler receives the parameters object: { first: '6', second: '9' }
+export function registerRoute(pattern, handler) {
+    routes.push({
+        pattern,
+        segments: pattern.split('/').filter(Boolean),
+        handler
+    });
+}
+
+export function setFallbackRoute(handler) {
+    fallbackHandler = handler;
+}
+
+// Links come from anywhere, so route handlers check a Pokemon parameter before looking it up
+// Returns the parameter, or undefined (like a missing optional parameter) when it isn't valid
+export function getPokemonParam(value) {
+    if (value === undefined || POKEMON_PARAM_PATTERN.test(value)) return value;
+    
+    console.warn('Invalid Pokemon in link:', value);
+    return undefined;
+}
+
+// Compare a path against a route pattern, returning the parameters or null
+function matchRoute(route, pathSegments) {
+    if (pathSegments.length > route.segments.length) return null;
+    
+    const params = {};
+    for (let i = 0; i < route.segments.length; i++) {
+        const segment = route.segments[i];
+        const value = pathSegments[i];
+        
+        if (segment.startsWith(':')) {
+            const isOptional = segment.endsWith('?');
+            const name = segment.slice(1, isOptional ? -1 : undefined);
+            if (value === undefined && !isOptional) return null;
+            if (value !== undefined) {
+                // A broken escape like "%E0%A4%A" matches no route
+                try {
+                    params[name] = decodeURIComponent(value);
+                } catch (error) {
+                    return null;
+                }
+            }
+        } else if (segment !== value) {
+            return null;
+        }
+    }
+    
+    return params;
+}
+
+// "#/pokemon/25" -> "/pokemon/25", an empty hash is the home route "/"
+function getHashPath() {
+    const path = window.location.hash.replace(/^#/, '');
+    return path.startsWith('/') ? path : `/${path}`;
+}
+
+// Run the handler of the route matching the current URL
+async function resolveCurrentRoute() {
+    const path = getHashPath();
+    if (path === currentPath) return; // Nothing changed (or we made this change ourselves)
+    currentPath = path;
+    
+    const pathSegments = path.split('/').filter(Boolean);
+    let handler = fallbackHandler;
+    let params = {};
+    for (const route of routes) {
+        const match = matchRoute(route, pathSegments);
+        if (match) {
+            handler = route.handler;
+            params = match;
+            break;
+        }
+    }
+    
+    if (!handler) return;
+    
+    isRestoringRoute = true;
+    try {
+        await handler(params);
+    } catch (error) {
+        console.error(`Error restoring route ${path}:`, error);
+    } finally {
+        isRestoringRoute = false;
+    }
+}
+
+// Record a new app state in the URL without running its route handler
+// Use this after the user changed something, e.g. updateRoute('/pokemon/25')
+export function updateRoute(path) {
+    if (path === currentPath) return;
+    currentPath = path;
+    
+    // pushState/replaceState change the hash without firing hashchange
+    const url = `#${path}`;
+    if (isRestoringRoute) {
+        history.replaceState(null, '', url);
+    } else {
+        history.pushState(null, '', url);
+    }
+}
+
+// Restore the state from the URL on load, then follow every later URL change
+// Back/forward between our own history entries fires popstate, edited URLs fire hashchange
+export function startRouter() {
+    window.addEventListener('hashchange', resolveCurrentRoute);
+    window.addEventListener('popstate', resolveCurrentRoute);
+    return resolveCurrentRoute();
+}
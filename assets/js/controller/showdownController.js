@@ -0,0 +1,101 @@
+// Showdown Import/Export Controller - Handles Showdown team pastes
+// This file imports a pasted team into the team builder, the favorites and the battle calculator,
+// and exports the active team as a paste
+
+// Import dependencies
+import { parseShowdownTeam, resolveShowdownSets, formatShowdownTeam } from '../Model/showdownFormat.js';
+import { normalizePokemonQuery } from '../Model/pokemonIndex.js';
+import { getActiveTeam, createTeam, createTeamMember, createTeamMove } from '../Model/teamBuilder.js';
+import { addFavorite } from '../Model/favoritesPokemon.js';
+import { toBattleMove } from '../Model/damageCalculator.js';
+import { displayShowdownErrors, displayShowdownMessage } from '../view/teamBuilderDisplay.js';
+import { updateFavoritesDisplay } from '../view/favoritesView.js';
+import { formatPokemonName } from '../view/utilityFunctions.js';
+import { initializeTeamBuilder } from './teamController.js';
+import { setBattleSets } from './gamingController.js';
+
+// Import the paste from the Showdown text box
+// Nothing is imported while any line is invalid - the user gets every problem at once to fix
+export async function importShowdownTeam() {
+    const textArea = document.getElementById('showdown-text');
+    const text = textArea?.value || '';
+    
+    const parsed = parseShowdownTeam(text);
+    if (parsed.sets.length === 0) {
+        displayShowdownMessage('Paste a team in the Showdown format first.');
+        return;
+    }
+    if (parsed.errors.length > 0) {
+        displayShowdownErrors(parsed.errors);
+        return;
+    }
+    
+    displayShowdownMessage(`Checking ${parsed.sets.length} Pokémon with PokéAPI...`);
+    
+    try {
+        const { resolved, errors } = await resolveShowdownSets(parsed.sets);
+        if (errors.length > 0) {
+            displayShowdownErrors(errors);
+            return;
+        }
+        
+        applyImportedSets(parsed.name, resolved);
+    } catch (error) {
+        console.error('Error importing Showdown team:', error);
+        displayShowdownMessage('Failed to check the team with PokéAPI. Please try again.');
+    }
+}
+
+// Put the checked sets everywhere they are useful:
+// a new team, the favorites, and the first two sets into the battle calculator
+function applyImportedSets(teamName, resolved) {
+    const members = resolved.map(({ set, pokemon, item, moves }) => {
+        const member = createTeamMember(pokemon);
+        if (set.ability) member.ability = normalizePokemonQuery(set.ability);
+        member.item = item ? item.name : null;
+        member.spread = set.spread;
+        moves.forEach((moveData, index) => {
+            member.moves[index] = createTeamMove(moveData);
+        });
+        return member;
+    });
+    createTeam(teamName || 'Imported Team', members);
+    initializeTeamBuilder();
+    
+    const added = resolved.filter(({ pokemon }) => addFavorite(pokemon)).length;
+    updateFavoritesDisplay();
+    
+    // The sets bring their own stat spreads - the ones saved in the stat calculator stay as they are
+    const [attacker, defender] = resolved.slice(0, 2).map(({ set, pokemon, moves }) => {
+        const firstAttack = moves.find(move => move.damage_class.name !== 'status');
+        return { pokemon, level: set.spread.level, spread: set.spread, move: firstAttack ? toBattleMove(firstAttack) : null };
+    });
+    setBattleSets(attacker, defender || null);
+    
+    const battleText = defender
+        ? `${formatPokemonName(attacker.pokemon.name)} vs ${formatPokemonName(defender.pokemon.name)}`
+        : formatPokemonName(attacker.pokemon.name);
+    displayShowdownMessage(`✅ Imported ${resolved.length} Pokémon as a new team, added ${added} to your favorites and loaded ${battleText} into the battle calculator.`);
+}
+
+// Write the active team into the Showdown text box, ready to copy
+export function exportShowdownTeam() {
+    const textArea = document.getElementById('showdown-text');
+    const members = getActiveTeam().members.filter(Boolean);
+    if (!textArea) return;
+    
+    if (members.length === 0) {
+        displayShowdownMessage('This team is empty - add some Pokémon first.');
+        return;
+    }
+    
+    textArea.value = formatShowdownTeam(members.map(member => ({
+        species: member.name,
+        item: member.item,
+        ability: member.ability,
+        spread: member.spread,
+        moves: member.moves.filter(Boolean).map(move => move.name)
+    })));
+    textArea.select();
+    displayShowdownMessage(`📋 Exported ${members.length} Pokémon - copy the text above into Showdown.`);
+}
@@ -0,0 +1,67 @@
+// Stat Calculator Controller - Connects the stat calculator panel to the stat formulas
+// This file reads the level, nature, IV and EV inputs, validates them and saves valid spreads
+
+// Import dependencies
+import { calculateStats, getDefaultSpread, getEvTotal, getSavedSpread, saveSpread, removeSavedSpread, validateSpread } from '../Model/statCalculator.js';
+import { displayStatCalculator, updateStatCalculatorResults } from '../view/statCalculatorDisplay.js';
+
+// The Pokemon shown on the card
+let currentStatPokemon = null;
+
+// Show the calculator for a newly displayed Pokemon, starting from its saved spread
+export function showStatCalculator(pokemon) {
+    currentStatPokemon = pokemon;
+    const spread = getSavedSpread(pokemon.id) || getDefaultSpread();
+    
+    displayStatCalculator(pokemon, spread);
+    showStatResults(spread);
+}
+
+// Called whenever an input of the panel changes
+export function updateStatCalculator() {
+    if (!currentStatPokemon) return;
+    
+    const spread = readSpreadInputs();
+    const isValid = showStatResults(spread);
+    
+    // Only valid spreads are kept, so the battle calculator never uses impossible stats
+    if (isValid) {
+        saveSpread(currentStatPokemon.id, spread);
+    }
+}
+
+// Go back to perfect IVs, no EVs and a neutral nature
+export function resetStatCalculator() {
+    if (!currentStatPokemon) return;
+    
+    removeSavedSpread(currentStatPokemon.id);
+    showStatCalculator(currentStatPokemon);
+    document.getElementById('stat-calculator')?.setAttribute('open', '');
+}
+
+// Returns whether the spread is valid
+function showStatResults(spread) {
+    const errors = validateSpread(spread);
+    const stats = errors.length === 0 ? calculateStats(currentStatPokemon, spread) : null;
+    
+    updateStatCalculatorResults(stats, {
+        evTotal: getEvTotal(spread),
+        errors,
+        nature: spread.nature
+    });
+    return errors.length === 0;
+}
+
+// Empty number inputs become NaN, which validateSpread reports
+function readSpreadInputs() {
+    const readValues = selector => Object.fromEntries(
+        [...document.querySelectorAll(selector)].map(input => [input.dataset.stat, parseInt(input.value)])
+    );
+    
+    return {
+        level: parseInt(document.getElementById('stat-calc-level')?.value),
+        nature: document.getElementById('stat-calc-nature')?.value,
+        ivs: readValues('#stat-calculator .stat-calc-iv'),
+        evs: readValues('#stat-calculator .stat-calc-ev')
+    };
+}
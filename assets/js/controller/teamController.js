@@ -0,0 +1,158 @@
+// Team Builder Controller - Handles the six-slot team builder
+// This file adds Pokemon, abilities and moves to the saved teams and refreshes the team analysis
+
+// Import dependencies
+import { fetchPokemon, fetchMove } from '../Model/pokeapi.js';
+import { normalizePokemonQuery } from '../Model/pokemonIndex.js';
+import {
+    getTeams,
+    getActiveTeam,
+    setActiveTeam,
+    createTeam,
+    renameTeam,
+    deleteTeam,
+    setTeamMember,
+    setMemberAbility,
+    setMemberMove,
+    knowsMove,
+    createTeamMember,
+    createTeamMove,
+    analyseTeam
+} from '../Model/teamBuilder.js';
+import { displayTeamBuilder, showTeamError } from '../view/teamBuilderDisplay.js';
+import { formatAbilityName, formatPokemonName } from '../view/utilityFunctions.js';
+
+// Full Pokemon data by ID, only used to suggest moves from each member's learnset
+// Saved teams don't store learnsets - they are loaded (usually from the cache) when the builder opens
+const loadedPokemon = {};
+
+// Called every time the team builder is opened
+export function initializeTeamBuilder() {
+    showTeamError('');
+    updateTeamDisplay();
+    loadTeamLearnsets();
+}
+
+function updateTeamDisplay() {
+    const team = getActiveTeam();
+    displayTeamBuilder(getTeams(), team, analyseTeam(team), loadedPokemon);
+}
+
+// Load the members that have no move suggestions yet, then show them
+async function loadTeamLearnsets() {
+    const missing = getActiveTeam().members.filter(member => member && !loadedPokemon[member.id]);
+    if (missing.length === 0) return;
+    
+    const results = await Promise.allSettled(missing.map(member => fetchPokemon(member.id)));
+    results.forEach(result => {
+        if (result.status === 'fulfilled') {
+            loadedPokemon[result.value.id] = result.value;
+        }
+    });
+    updateTeamDisplay();
+}
+
+// =============================================================================
+// SAVED TEAMS
+// =============================================================================
+
+export function selectTeam(teamId) {
+    setActiveTeam(teamId);
+    initializeTeamBuilder();
+}
+
+export function createNewTeam() {
+    const name = prompt('Name of the new team:', '');
+    if (name === null) return; // Cancelled
+    
+    createTeam(name);
+    initializeTeamBuilder();
+}
+
+export function renameActiveTeam() {
+    const team = getActiveTeam();
+    const name = prompt('New name for this team:', team.name);
+    if (name === null) return;
+    
+    try {
+        renameTeam(team.id, name);
+        showTeamError('');
+        updateTeamDisplay();
+    } catch (error) {
+        showTeamError(error.message);
+    }
+}
+
+export function deleteActiveTeam() {
+    const team = getActiveTeam();
+    if (!confirm(`Delete the team "${team.name}"? This cannot be undone.`)) return;
+    
+    deleteTeam(team.id);
+    initializeTeamBuilder();
+}
+
+// =============================================================================
+// TEAM SLOTS
+// =============================================================================
+
+// Add the Pokemon typed into an empty slot
+export async function setTeamSlotPokemon(slot) {
+    const input = document.getElementById(`team-slot-input-${slot}`);
+    const query = normalizePokemonQuery(input?.value || '');
+    if (!query) return;
+    
+    try {
+        const pokemon = await fetchPokemon(query);
+        loadedPokemon[pokemon.id] = pokemon;
+        setTeamMember(getActiveTeam().id, slot, createTeamMember(pokemon));
+        showTeamError('');
+        updateTeamDisplay();
+    } catch (error) {
+        console.error('Error adding Pokemon to team:', error);
+        showTeamError(error.status === 404 ? `There is no Pokémon called "${input.value.trim()}".` : error.message);
+    }
+}
+
+export function removeTeamSlot(slot) {
+    setTeamMember(getActiveTeam().id, slot, null);
+    showTeamError('');
+    updateTeamDisplay();
+}
+
+export function setTeamAbility(slot, abilityName) {
+    try {
+        setMemberAbility(getActiveTeam().id, slot, abilityName);
+        updateTeamDisplay();
+    } catch (error) {
+        showTeamError(error.message);
+    }
+}
+
+// Look up a move typed into one of a member's four move fields - an empty field clears the move
+export async function setTeamMove(slot, moveIndex, moveName) {
+    const team = getActiveTeam();
+    const member = team.members[slot];
+    if (!member) return;
+    
+    const query = normalizePokemonQuery(moveName);
+    if (!query) {
+        setMemberMove(team.id, slot, moveIndex, null);
+        showTeamError('');
+        updateTeamDisplay();
+        return;
+    }
+    
+    try {
+        const moveData = await fetchMove(query);
+        if (member.moves[moveIndex]?.name !== moveData.name && knowsMove(member, moveData.name)) {
+            throw new Error(`${formatPokemonName(member.name)} already knows ${formatAbilityName(moveData.name)}.`);
+        }
+        setMemberMove(team.id, slot, moveIndex, createTeamMove(moveData));
+        showTeamError('');
+    } catch (error) {
+        console.error('Error setting team move:', error);
+        showTeamError(error.status === 404 ? `There is no move called "${moveName.trim()}".` : error.message);
+    }
+    // Also after errors, so the field goes back to the move that is really saved
+    updateTeamDisplay();
+}
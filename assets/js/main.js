@@ -21,25 +21,29 @@ import './view/gamingDisplay.js';
 
 // Controllers - Logic layer (import specific functions we need)
 import { initializePokemonController, searchPokemon, getRandomPokemon, handleToggleFavorite, handleRemoveFavorite } from './controller/pokemonController.js';
-import { initializeApp, showTypeEffectiveness } from './controller/appController.js';
+import { initializeApp, initializeRouting, showTypeEffectiveness } from './controller/appController.js';
+import { updateStatCalculator, resetStatCalculator } from './controller/statController.js';
+import { setupBattleSimulator, startSimulatedBattle, playSimulatorTurn, finishSimulatedBattle } from './controller/battleSimulatorController.js';
+import { selectTeam, createNewTeam, renameActiveTeam, deleteActiveTeam, setTeamSlotPokemon, removeTeamSlot, setTeamAbility, setTeamMove } from './controller/teamController.js';
+import { importShowdownTeam, exportShowdownTeam } from './controller/showdownController.js';
+import { startQuizGame, resetQuizGame, showQuizModePicker, resetQuizStats, startDailyChallenge, copyDailyResult, generateNewQuizQuestion, selectQuizAnswer, revealQuizAnswer } from './controller/quizController.js';
+import { showMultiplayerSetup, addMultiplayerPlayer, removeMultiplayerPlayer, startMultiplayerQuiz, rematchMultiplayerQuiz, nextMultiplayerQuestion, retryMultiplayerQuestion, buzzMultiplayerPlayer, selectMultiplayerAnswer, revealMultiplayerAnswer } from './controller/multiplayerQuizController.js';
 import { 
     initializeGamingFeatures, 
-    addPokemonToSlot, 
+    addComparisonPokemon, 
+    sortComparison,
     removeFromComparison, 
     clearComparison,
     addPokemonToBattle,
     removeFromBattle,
     calculateBattleDamage,
+    selectBattleMove,
+    updateCustomMove,
     showEvolutionChain,
-    generateNewQuizQuestion,
-    selectQuizAnswer,
-    revealQuizAnswer,
-    resetQuizGame,
     showPokemonMoves,
     toggleShinyMode,
     showBattleCalculator,
-    calculateDamage,
-    startQuizGame
+    calculateDamage
 } from './controller/gamingController.js';
 
 // Import utility functions that need to be globally available
@@ -55,6 +59,9 @@ function startApplication() {
         initializeApp();
         initializeGamingFeatures();
         
+        // Restore the view from the URL (#/pokemon/25, #/quiz, ...) once every route is registered
+        initializeRouting();
+        
         console.log('✅ PokéDex Explorer App initialized successfully!');
     } catch (error) {
         console.error('❌ Failed to initialize PokéDex Explorer:', error);
@@ -72,14 +79,33 @@ window.getRandomPokemon = getRandomPokemon;
 window.handleToggleFavorite = handleToggleFavorite;
 window.handleRemoveFavorite = handleRemoveFavorite;
 window.copyPokemonInfo = copyPokemonInfo;
+window.updateStatCalculator = updateStatCalculator;
+window.resetStatCalculator = resetStatCalculator;
 
 // Gaming features global exports
-window.addPokemonToSlot = addPokemonToSlot;
+window.addComparisonPokemon = addComparisonPokemon;
+window.sortComparison = sortComparison;
 window.removeFromComparison = removeFromComparison;
 window.clearComparison = clearComparison;
 window.addPokemonToBattle = addPokemonToBattle;
 window.removeFromBattle = removeFromBattle;
 window.calculateBattleDamage = calculateBattleDamage;
+window.selectBattleMove = selectBattleMove;
+window.updateCustomMove = updateCustomMove;
+window.setupBattleSimulator = setupBattleSimulator;
+window.startSimulatedBattle = startSimulatedBattle;
+window.playSimulatorTurn = playSimulatorTurn;
+window.finishSimulatedBattle = finishSimulatedBattle;
+window.selectTeam = selectTeam;
+window.createNewTeam = createNewTeam;
+window.renameActiveTeam = renameActiveTeam;
+window.deleteActiveTeam = deleteActiveTeam;
+window.setTeamSlotPokemon = setTeamSlotPokemon;
+window.removeTeamSlot = removeTeamSlot;
+window.setTeamAbility = setTeamAbility;
+window.setTeamMove = setTeamMove;
+window.importShowdownTeam = importShowdownTeam;
+window.exportShowdownTeam = exportShowdownTeam;
 window.showEvolutionChain = showEvolutionChain;
 window.generateNewQuizQuestion = generateNewQuizQuestion;
 window.selectQuizAnswer = selectQuizAnswer;
@@ -89,4 +115,18 @@ window.showPokemonMoves = showPokemonMoves;
 window.toggleShinyMode = toggleShinyMode;
 window.showBattleCalculator = showBattleCalculator;
 window.calculateDamage = calculateDamage;
-window.startQuizGame = startQuizGame;
\ No newline at end of file
+window.startQuizGame = startQuizGame;
+window.showQuizModePicker = showQuizModePicker;
+window.resetQuizStats = resetQuizStats;
+window.startDailyChallenge = startDailyChallenge;
+window.copyDailyResult = copyDailyResult;
+window.showMultiplayerSetup = showMultiplayerSetup;
+window.addMultiplayerPlayer = addMultiplayerPlayer;
+window.removeMultiplayerPlayer = removeMultiplayerPlayer;
+window.startMultiplayerQuiz = startMultiplayerQuiz;
+window.rematchMultiplayerQuiz = rematchMultiplayerQuiz;
+window.nextMultiplayerQuestion = nextMultiplayerQuestion;
+window.retryMultiplayerQuestion = retryMultiplayerQuestion;
+window.buzzMultiplayerPlayer = buzzMultiplayerPlayer;
+window.selectMultiplayerAnswer = selectMultiplayerAnswer;
+window.revealMultiplayerAnswer = revealMultiplayerAnswer;
\ No newline at end of file
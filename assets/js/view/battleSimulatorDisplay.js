@@ -0,0 +1,155 @@
+// Battle Simulator View - Handles the turn-based battle simulator panel
+// This file renders the move setup of both sides, the HP bars, the battle log and the winner
+
+// Import utility functions
+import { capitalizeFirst, formatAbilityName, formatPokemonName } from './utilityFunctions.js';
+import { createLearnsetOptions } from './gamingDisplay.js';
+import { MAX_MOVES } from '../Model/battleSimulator.js';
+
+// Show the setup form: level, control and up to four moves for each side
+// levels and useSpreads: the levels and stat spread choices of the damage calculator, used as defaults
+export function displaySimulatorSetup(pokemonList, levels, useSpreads = []) {
+    const setup = document.getElementById('simulator-setup');
+    const battleElement = document.getElementById('simulator-battle');
+    if (!setup) return;
+    
+    if (battleElement) battleElement.innerHTML = '';
+    showSimulatorError('');
+    
+    const sides = pokemonList.map((pokemon, sideIndex) => {
+        // Up to four moves - the datalist suggests the Pokemon's learnset, but any move can be typed
+        const moveInputs = Array.from({ length: MAX_MOVES }, (_, moveIndex) => `
+            <input type="text" class="sim-move" data-side="${sideIndex}" list="sim-move-list-${sideIndex}"
+                   placeholder="Move ${moveIndex + 1}" aria-label="${formatPokemonName(pokemon.name)} move ${moveIndex + 1}">
+        `).join('');
+        
+        return `
+            <div class="simulator-side">
+                <h5>${formatPokemonName(pokemon.name)}</h5>
+                <label>Level:</label>
+                <input type="number" id="sim-level-${sideIndex}" value="${levels[sideIndex]}" min="1" max="100">
+                <label>Controlled by:</label>
+                <select id="sim-control-${sideIndex}">
+                    <option value="ai">AI (best expected damage)</option>
+                    <option value="manual">Manual (you pick each turn)</option>
+                </select>
+                <label class="battle-checkbox" title="Use the IVs, EVs and nature of an imported Showdown set, or else the ones saved in the stat calculator on the Pokémon card">
+                    <input type="checkbox" id="sim-use-spread-${sideIndex}" ${useSpreads[sideIndex] ? 'checked' : ''}> Use saved stat spread
+                </label>
+                <div class="sim-moves">${moveInputs}</div>
+                <datalist id="sim-move-list-${sideIndex}">${createLearnsetOptions(pokemon)}</datalist>
+            </div>
+        `;
+    }).join('');
+    
+    setup.innerHTML = `
+        <div class="simulator-sides">${sides}</div>
+        <div class="simulator-start">
+            <label for="sim-seed">Seed:</label>
+            <input type="text" id="sim-seed" placeholder="Random">
+            <button class="action-btn" onclick="window.startSimulatedBattle?.()">▶️ Start Battle</button>
+        </div>
+    `;
+}
+
+// Show the state of a running or finished battle
+export function displaySimulatorBattle(battle) {
+    const battleElement = document.getElementById('simulator-battle');
+    if (!battleElement) return;
+    
+    const hasManualSide = battle.sides.some(side => side.control === 'manual');
+    
+    const hpBars = battle.sides.map((side, sideIndex) => {
+        const percentage = side.hp / side.maxHp * 100;
+        // Manual sides choose their next move here
+        const choice = side.control === 'manual' && !battle.isOver ? `
+            <select id="sim-choice-${sideIndex}" class="sim-choice">
+                ${side.moves.map((move, moveIndex) => `<option value="${moveIndex}">${move.name ? formatAbilityName(move.name) : 'Custom move'}</option>`).join('')}
+            </select>
+        ` : '';
+        
+        return `
+            <div class="simulator-fighter ${side.hp === 0 ? 'fainted' : ''}">
+                <strong>${formatPokemonName(side.name)}</strong> <span>Lv. ${side.level}</span>
+                <div class="stat-bar"><div class="stat-fill ${getHpClass(percentage)}" style="width: ${percentage}%"></div></div>
+                <span class="simulator-hp">${side.hp} / ${side.maxHp} HP</span>
+                ${choice}
+            </div>
+        `;
+    }).join('');
+    
+    let outcome = '';
+    if (battle.isOver) {
+        outcome = battle.winner === null
+            ? '<p class="simulator-winner">🤝 The battle ended in a draw!</p>'
+            : `<p class="simulator-winner">🏆 ${formatPokemonName(battle.sides[battle.winner].name)} wins in ${battle.turn} turns!</p>`;
+    }
+    
+    const controls = battle.isOver ? `
+        <button class="action-btn secondary" onclick="window.startSimulatedBattle?.()">🔁 Replay With This Seed</button>
+    ` : `
+        <button class="action-btn" onclick="window.playSimulatorTurn?.()">⏭️ Next Turn</button>
+        ${hasManualSide ? '' : '<button class="action-btn secondary" onclick="window.finishSimulatedBattle?.()">⏩ Run to the End</button>'}
+    `;
+    
+    battleElement.innerHTML = `
+        <div class="simulator-fighters">${hpBars}</div>
+        ${outcome}
+        <div class="simulator-controls">${controls}</div>
+        <p class="simulator-seed">Seed: <code></code></p>
+        <ol class="simulator-log">
+            ${battle.log.map(entry => `<li class="log-${entry.kind}"><span class="log-turn">Turn ${entry.turn}</span> ${formatLogEntry(entry)}</li>`).join('')}
+        </ol>
+    `;
+    
+    // The seed can be text typed by the user - textContent keeps it from being treated as HTML
+    battleElement.querySelector('.simulator-seed code').textContent = battle.seed;
+    
+    // Keep the newest turn in view
+    const log = battleElement.querySelector('.simulator-log');
+    if (log) log.scrollTop = log.scrollHeight;
+}
+
+function getHpClass(percentage) {
+    if (percentage > 50) return 'hp-high';
+    if (percentage > 20) return 'hp-medium';
+    return 'hp-low';
+}
+
+// Turn a log entry from the battle model into a sentence
+function formatLogEntry(entry) {
+    const pokemon = entry.pokemon ? formatPokemonName(entry.pokemon) : '';
+    
+    switch (entry.kind) {
+        case 'move':
+            return `${pokemon} used ${entry.move ? formatAbilityName(entry.move) : 'a custom move'}!`;
+        case 'miss':
+            return `${pokemon}'s attack missed!`;
+        case 'status-move':
+            return 'But nothing happened (status effects are not simulated).';
+        case 'immune':
+            return `It doesn't affect ${pokemon}...`;
+        case 'critical':
+            return 'A critical hit!';
+        case 'super-effective':
+            return "It's super effective!";
+        case 'not-very-effective':
+            return "It's not very effective...";
+        case 'damage':
+            return `${pokemon} lost ${entry.damage} HP (${entry.hp}/${entry.maxHp} left).`;
+        case 'faint':
+            return `${pokemon} fainted!`;
+        case 'draw':
+            return `Nobody fainted within ${entry.turns} turns - it's a draw.`;
+        default:
+            return capitalizeFirst(entry.kind);
+    }
+}
+
+// Status line above the simulator - an empty message clears it
+export function showSimulatorError(message) {
+    const status = document.getElementById('simulator-status');
+    if (status) {
+        status.textContent = message ? `⚠️ ${message}` : '';
+    }
+}
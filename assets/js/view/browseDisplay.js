@@ -0,0 +1,72 @@
+// Browse Display View - Handles the paginated Pokedex grid
+// This file renders the sprite cards, their types and the status line of the browse mode
+
+// Import utility functions
+import { capitalizeFirst, formatPokemonName } from './utilityFunctions.js';
+
+// Remove all cards, e.g. when switching to another region
+export function clearBrowseGrid() {
+    const grid = document.getElementById('browse-grid');
+    if (grid) {
+        grid.innerHTML = '';
+    }
+}
+
+// Card for one Pokemon index entry ({ id, name, sprite }) - also used by the search results panel
+// Cards are buttons so they can be opened with the keyboard as well as the mouse
+export function createPokemonGridCard(entry) {
+    return `
+        <button class="browse-card" data-pokemon="${entry.name}" title="View ${formatPokemonName(entry.name)}">
+            <img src="${entry.sprite}" alt="${formatPokemonName(entry.name)}" class="browse-sprite" loading="lazy" onerror="this.style.visibility='hidden'">
+            <span class="browse-id">#${String(entry.id).padStart(3, '0')}</span>
+            <span class="browse-name">${formatPokemonName(entry.name)}</span>
+            <span class="browse-types"></span>
+        </button>
+    `;
+}
+
+// Append a page of cards to the grid
+export function displayBrowseCards(entries) {
+    const grid = document.getElementById('browse-grid');
+    if (!grid) return;
+    
+    const cardsHTML = entries.map(createPokemonGridCard).join('');
+    
+    // insertAdjacentHTML keeps the already loaded cards (and their images) in place
+    grid.insertAdjacentHTML('beforeend', cardsHTML);
+}
+
+// Fill in the type badges of every card that does not have them yet
+// typeMap is a Map of Pokemon name -> ['primary', 'secondary']
+export function updateBrowseTypes(typeMap, gridSelector = '#browse-grid') {
+    document.querySelectorAll(`${gridSelector} .browse-card`).forEach(card => {
+        const typesElement = card.querySelector('.browse-types');
+        if (!typesElement || typesElement.childElementCount > 0) return;
+        
+        const types = (typeMap.get(card.dataset.pokemon) || []).filter(Boolean);
+        typesElement.innerHTML = types.map(type =>
+            `<span class="type-badge type-badge-small ${type}">${capitalizeFirst(type)}</span>`
+        ).join('');
+    });
+}
+
+// Status line and "Load More" button below the grid
+export function updateBrowseStatus({ loadedCount, total, regionName, isLoading, hasMore, errorMessage }) {
+    const statusElement = document.getElementById('browse-status');
+    const loadMoreButton = document.getElementById('browse-load-more');
+    
+    if (statusElement) {
+        if (errorMessage) {
+            statusElement.textContent = `⚠️ ${errorMessage}`;
+        } else if (isLoading) {
+            statusElement.textContent = `Loading ${regionName} Pokémon...`;
+        } else {
+            statusElement.textContent = `Showing ${loadedCount} of ${total} ${regionName} Pokémon`;
+        }
+    }
+    
+    if (loadMoreButton) {
+        // Also acts as a manual retry after an error
+        loadMoreButton.style.display = hasMore && !isLoading ? 'inline-flex' : 'none';
+    }
+}
@@ -0,0 +1,110 @@
+// Evolution Conditions - Turns PokeAPI evolution details into readable text
+// This file decodes every field of an evolution_details entry (level, item, friendship,
+// time of day, held item, known move, location, trade partner, ...) into one sentence,
+// e.g. { trigger: level-up, min_happiness: 160, time_of_day: 'day' } -> "Level up, 160+ friendship, during the day"
+
+// Import utility functions
+import { capitalizeFirst, formatAbilityName, formatPokemonName } from './utilityFunctions.js';
+
+// PokeAPI gender IDs
+const GENDERS = { 1: 'female', 2: 'male' };
+
+// relative_physical_stats compares Attack with Defense (Tyrogue)
+const PHYSICAL_STATS = {
+    1: 'Attack higher than Defense',
+    0: 'Attack equal to Defense',
+    '-1': 'Attack lower than Defense'
+};
+
+const TIMES_OF_DAY = {
+    day: 'during the day',
+    night: 'at night',
+    dusk: 'at dusk'
+};
+
+// The main action of each trigger - conditions are added after it
+// min_level is part of the action for triggers that happen on level up
+const TRIGGER_TEXT = {
+    'level-up': detail => detail.min_level ? `Level ${detail.min_level}` : 'Level up',
+    'use-item': detail => detail.item ? `Use ${formatAbilityName(detail.item.name)}` : 'Use an item',
+    'trade': () => 'Trade',
+    'shed': detail => `Level ${detail.min_level || 20} with an empty party slot and a spare Poké Ball`,
+    'spin': () => 'Spin around',
+    'tower-of-darkness': () => 'Train in the Tower of Darkness',
+    'tower-of-waters': () => 'Train in the Tower of Waters',
+    'three-critical-hits': () => 'Land three critical hits in one battle',
+    'take-damage': () => 'Lose at least 49 HP in battle, then walk under the Dusty Bowl rock arch',
+    'agile-style-move': detail => `Use ${detail.known_move ? formatAbilityName(detail.known_move.name) : 'a move'} in the Agile Style 20 times`,
+    'strong-style-move': detail => `Use ${detail.known_move ? formatAbilityName(detail.known_move.name) : 'a move'} in the Strong Style 20 times`,
+    'recoil-damage': () => 'Lose at least 294 HP from recoil without fainting',
+    'other': () => 'Special condition'
+};
+
+// Fields already used by a trigger's action don't get repeated as a condition
+const FIELDS_IN_TRIGGER = {
+    'level-up': ['min_level'],
+    'use-item': ['item'],
+    'shed': ['min_level'],
+    'agile-style-move': ['known_move'],
+    'strong-style-move': ['known_move']
+};
+
+// One readable fragment for each condition field, or null when the field is not set
+// Fields PokeAPI adds later than this list still show up through describeUnknownField()
+const CONDITION_TEXT = {
+    min_level: value => `from level ${value}`,
+    item: value => `using ${formatAbilityName(value.name)}`,
+    gender: value => `${GENDERS[value] || 'specific gender'} only`,
+    held_item: value => `holding ${formatAbilityName(value.name)}`,
+    known_move: value => `knowing ${formatAbilityName(value.name)}`,
+    known_move_type: value => `knowing a ${capitalizeFirst(value.name)}-type move`,
+    location: value => `at ${formatAbilityName(value.name)}`,
+    min_happiness: value => `${value}+ friendship`,
+    min_beauty: value => `${value}+ beauty`,
+    min_affection: value => `${value}+ affection`,
+    needs_overworld_rain: value => value ? "while it's raining" : null,
+    party_species: value => `with ${formatPokemonName(value.name)} in the party`,
+    party_type: value => `with a ${capitalizeFirst(value.name)}-type Pokémon in the party`,
+    relative_physical_stats: value => PHYSICAL_STATS[value] || null,
+    time_of_day: value => value ? TIMES_OF_DAY[value] || `at ${value}` : null,
+    trade_species: value => `in exchange for ${formatPokemonName(value.name)}`,
+    turn_upside_down: value => value ? 'holding the console upside down' : null
+};
+
+// "min_steps: 1000" -> "Min Steps 1000", for fields not in CONDITION_TEXT
+function describeUnknownField(field, value) {
+    const readableValue = typeof value === 'object' ? formatAbilityName(value.name || '') : value;
+    return `${formatAbilityName(field.replace(/_/g, '-'))} ${readableValue}`.trim();
+}
+
+function isSet(value) {
+    return value !== null && value !== undefined && value !== '' && value !== false;
+}
+
+// A single evolution_details entry as one sentence
+export function describeEvolutionDetail(detail) {
+    const trigger = detail.trigger?.name;
+    const action = TRIGGER_TEXT[trigger]
+        ? TRIGGER_TEXT[trigger](detail)
+        : (trigger ? formatAbilityName(trigger) : 'Evolve');
+    const skippedFields = ['trigger', ...(FIELDS_IN_TRIGGER[trigger] || [])];
+    
+    const isCondition = field => !skippedFields.includes(field) && isSet(detail[field]);
+    
+    // Known fields in the order of CONDITION_TEXT, so sentences read the same way every time
+    const knownConditions = Object.keys(CONDITION_TEXT)
+        .filter(isCondition)
+        .map(field => CONDITION_TEXT[field](detail[field]));
+    const otherConditions = Object.keys(detail)
+        .filter(field => !CONDITION_TEXT[field] && isCondition(field))
+        .map(field => describeUnknownField(field, detail[field]));
+    
+    return [action, ...knownConditions, ...otherConditions].filter(Boolean).join(', ');
+}
+
+// Every alternative way to evolve - a Pokemon can have several (Leafeon: a Leaf Stone
+// or levelling up near a Moss Rock), and PokeAPI often lists the same method once per game,
+// so identical descriptions are only shown once
+export function describeEvolutionMethods(details) {
+    return [...new Set(details.map(describeEvolutionDetail))];
+}
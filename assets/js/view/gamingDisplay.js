@@ -1,56 +1,195 @@
 // Gaming Display View - Handles display of gaming features
-// This file contains all display functions for comparison, battle, quiz, evolution, and moveset features
+// This file contains all display functions for comparison, battle, evolution, and moveset features
 
 // Import utility functions
-import { capitalizeFirst, formatStatName, formatAbilityName, getTypeColor } from './utilityFunctions.js';
+import { capitalizeFirst, formatStatName, formatAbilityName, formatPokemonName, getTypeColor } from './utilityFunctions.js';
+import { ALL_TYPES } from '../Model/typeMatchups.js';
+import { MIN_COMPARISON_SIZE, MAX_COMPARISON_SIZE } from '../Model/pokemonComparison.js';
+import { describeEvolutionMethods } from './evolutionConditions.js';
 
 // =============================================================================
 // COMPARISON DISPLAY
 // =============================================================================
 
-export function displayComparisonResult(pokemon1, pokemon2) {
-    const slot1Element = document.getElementById('comparison-slot-1');
-    const slot2Element = document.getElementById('comparison-slot-2');
-    
-    updateComparisonSlot(slot1Element, pokemon1, 'slot1');
-    updateComparisonSlot(slot2Element, pokemon2, 'slot2');
-}
+// Colors of the compared Pokemon in the chart and the column headers
+const COMPARISON_COLORS = ['#dc2626', '#2563eb', '#16a34a', '#d97706', '#9333ea', '#0891b2'];
 
-function updateComparisonSlot(element, pokemon, slotId) {
-    if (!element) return;
+// pokemonList: the compared Pokemon in column order
+// comparison: { stats, sharedWeaknesses, sort, colorIndexes } from the comparison model and controller
+export function displayComparisonResult(pokemonList, comparison) {
+    const display = document.getElementById('comparison-display');
+    if (!display) return;
     
-    if (!pokemon) {
-        element.innerHTML = `
-            <h4>Pokemon ${slotId === 'slot1' ? '1' : '2'}</h4>
+    const colors = comparison.colorIndexes.map(index => COMPARISON_COLORS[index]);
+    
+    const addForm = pokemonList.length < MAX_COMPARISON_SIZE ? `
+        <div class="comparison-add">
+            <input type="text" placeholder="Enter Pokemon name..." id="comparison-input"
+                   onkeydown="if (event.key === 'Enter') window.addComparisonPokemon?.()">
+            <button onclick="window.addComparisonPokemon?.()">Add Pokemon (${pokemonList.length}/${MAX_COMPARISON_SIZE})</button>
+        </div>
+    ` : '';
+    
+    if (pokemonList.length < MIN_COMPARISON_SIZE) {
+        display.innerHTML = `
+            ${pokemonList.length === 1 ? createComparisonHeaders(pokemonList, colors) : ''}
             <div class="comparison-placeholder">
-                <p>Add a Pokemon to compare</p>
-                <input type="text" placeholder="Enter Pokemon name..." id="${slotId}-input">
-                <button onclick="window.addPokemonToSlot?.('${slotId}')">Add Pokemon</button>
+                <p>Add ${MIN_COMPARISON_SIZE - pokemonList.length} more Pokémon to compare (up to ${MAX_COMPARISON_SIZE})</p>
             </div>
+            ${addForm}
         `;
         return;
     }
     
-    const image = pokemon.sprites.other['official-artwork']?.front_default || 
-                  pokemon.sprites.front_default;
-    
-    element.innerHTML = `
-        <h4>${capitalizeFirst(pokemon.name)} #${pokemon.id}</h4>
-        <img src="${image}" alt="${pokemon.name}" class="comparison-image" style="width: 120px; height: 120px; object-fit: contain;">
-        <div class="comparison-stats">
-            ${pokemon.stats.map(stat => `
-                <div class="comparison-stat">
-                    <span>${formatStatName(stat.stat.name)}</span>
-                    <span><strong>${stat.base_stat}</strong></span>
+    display.innerHTML = `
+        ${addForm}
+        ${createComparisonTable(pokemonList, comparison.stats, comparison.sort, colors)}
+        <div class="comparison-details">
+            ${createStatChart(pokemonList, comparison.stats, colors)}
+            ${createSharedWeaknesses(pokemonList, comparison.sharedWeaknesses)}
+        </div>
+    `;
+}
+
+// Sprite, name, types and remove button of every compared Pokemon
+function createComparisonHeaders(pokemonList, colors) {
+    return `
+        <div class="comparison-headers">
+            ${pokemonList.map((pokemon, index) => `
+                <div class="comparison-header" style="border-top-color: ${colors[index]}">
+                    <img src="${pokemon.sprites.front_default}" alt="${pokemon.name}" class="comparison-image">
+                    <strong>${formatAbilityName(pokemon.name)}</strong>
+                    <span class="comparison-id">#${pokemon.id}</span>
+                    <div class="comparison-types">
+                        ${pokemon.types.map(type => 
+                            `<span class="type-badge-small" style="background-color: ${getTypeColor(type.type.name)}">${capitalizeFirst(type.type.name)}</span>`
+                        ).join('')}
+                    </div>
+                    <button onclick="window.removeFromComparison?.(${pokemon.id})">Remove</button>
                 </div>
             `).join('')}
         </div>
-        <div class="comparison-types">
-            ${pokemon.types.map(type => 
-                `<span class="type-badge-small" style="background-color: ${getTypeColor(type.type.name)}">${capitalizeFirst(type.type.name)}</span>`
-            ).join('')}
+    `;
+}
+
+// One row per stat plus the base stat total, one column per Pokemon
+// The best value of each row is highlighted, the others show how far behind they are
+function createComparisonTable(pokemonList, stats, sort, colors) {
+    const rows = stats.map(row => {
+        const isSorted = sort.stat === row.stat;
+        const arrow = isSorted ? (sort.direction === 'desc' ? ' ▼' : ' ▲') : '';
+        const label = row.stat === 'total' ? 'Total (BST)' : formatStatName(row.stat);
+        const isTied = row.best === row.worst;
+        
+        return `
+            <tr class="${row.stat === 'total' ? 'comparison-total' : ''}">
+                <th>
+                    <button class="comparison-sort ${isSorted ? 'active' : ''}" onclick="window.sortComparison?.('${row.stat}')" title="Sort by ${label}">${label}${arrow}</button>
+                </th>
+                ${row.values.map((value, index) => {
+                    const isBest = value === row.best && !isTied;
+                    const isWorst = value === row.worst && !isTied;
+                    const delta = row.deltas[index];
+                    return `
+                        <td class="${isBest ? 'stat-best' : ''} ${isWorst ? 'stat-worst' : ''}">
+                            <strong>${value}</strong>
+                            ${delta < 0 ? `<span class="stat-delta">${delta}</span>` : ''}
+                            ${isBest ? '<span class="stat-delta">👑</span>' : ''}
+                        </td>
+                    `;
+                }).join('')}
+            </tr>
+        `;
+    }).join('');
+    
+    return `
+        ${createComparisonHeaders(pokemonList, colors)}
+        <div class="comparison-table-wrapper">
+            <table class="comparison-table">
+                <thead>
+                    <tr>
+                        <th>Stat</th>
+                        ${pokemonList.map((pokemon, index) => `<th style="color: ${colors[index]}">${formatAbilityName(pokemon.name)}</th>`).join('')}
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>
+        <p class="comparison-hint">Click a stat to sort the Pokémon by it. Numbers below a value show how far it is behind the best.</p>
+    `;
+}
+
+// Radar chart with the six stats as axes and one overlaid polygon per Pokemon
+function createStatChart(pokemonList, stats, colors) {
+    const size = 300;
+    const center = size / 2;
+    const radius = 110;
+    const sixStats = stats.filter(row => row.stat !== 'total');
+    // Scale to the highest stat shown (at least 150), so small differences stay visible
+    const maxValue = Math.max(150, ...sixStats.map(row => row.best));
+    
+    // Axis i points upwards and then clockwise in steps of 60 degrees
+    const pointAt = (axisIndex, value) => {
+        const angle = (Math.PI * 2 * axisIndex / sixStats.length) - Math.PI / 2;
+        const distance = radius * value / maxValue;
+        return `${(center + distance * Math.cos(angle)).toFixed(1)},${(center + distance * Math.sin(angle)).toFixed(1)}`;
+    };
+    
+    const grid = [0.25, 0.5, 0.75, 1].map(level =>
+        `<polygon class="chart-grid" points="${sixStats.map((_, i) => pointAt(i, maxValue * level)).join(' ')}"></polygon>`
+    ).join('');
+    
+    const axes = sixStats.map((row, i) => {
+        const [endX, endY] = pointAt(i, maxValue).split(',');
+        const [labelX, labelY] = pointAt(i, maxValue * 1.2).split(',');
+        return `
+            <line class="chart-axis" x1="${center}" y1="${center}" x2="${endX}" y2="${endY}"></line>
+            <text class="chart-label" x="${labelX}" y="${labelY}" text-anchor="middle" dominant-baseline="middle">${formatStatName(row.stat)}</text>
+        `;
+    }).join('');
+    
+    const shapes = pokemonList.map((pokemon, pokemonIndex) => `
+        <polygon class="chart-shape" points="${sixStats.map((row, i) => pointAt(i, row.values[pokemonIndex])).join(' ')}"
+                 style="fill: ${colors[pokemonIndex]}; stroke: ${colors[pokemonIndex]}">
+            <title>${formatAbilityName(pokemon.name)}</title>
+        </polygon>
+    `).join('');
+    
+    return `
+        <div class="comparison-chart">
+            <h4>Stat Chart</h4>
+            <svg viewBox="-30 -10 ${size + 60} ${size + 20}" role="img" aria-label="Overlaid base stats of the compared Pokémon">
+                ${grid}${axes}${shapes}
+            </svg>
+            <div class="chart-legend">
+                ${pokemonList.map((pokemon, index) => `
+                    <span><i style="background-color: ${colors[index]}"></i>${formatAbilityName(pokemon.name)}</span>
+                `).join('')}
+            </div>
+        </div>
+    `;
+}
+
+// Types that hit two or more of the compared Pokemon super effectively
+function createSharedWeaknesses(pokemonList, sharedWeaknesses) {
+    const content = sharedWeaknesses.length === 0
+        ? '<p>No type is super effective against more than one of these Pokémon. 👍</p>'
+        : `<ul>
+            ${sharedWeaknesses.map(weakness => `
+                <li class="${weakness.weakPokemon.length === pokemonList.length ? 'weak-all' : ''}">
+                    <span class="type-badge-small" style="background-color: ${getTypeColor(weakness.type)}">${capitalizeFirst(weakness.type)}</span>
+                    <strong>${weakness.weakPokemon.length}/${pokemonList.length} weak</strong>:
+                    ${weakness.weakPokemon.map(formatAbilityName).join(', ')}
+                    ${weakness.resistantPokemon.length ? `<em>(resisted by ${weakness.resistantPokemon.map(formatAbilityName).join(', ')})</em>` : ''}
+                </li>
+            `).join('')}
+        </ul>`;
+    
+    return `
+        <div class="comparison-weaknesses">
+            <h4>Shared Weaknesses</h4>
+            ${content}
         </div>
-        <button onclick="window.removeFromComparison?.('${slotId}')" style="margin-top: 1rem;">Remove</button>
     `;
 }
 
@@ -58,15 +197,16 @@ function updateComparisonSlot(element, pokemon, slotId) {
 // BATTLE DISPLAY
 // =============================================================================
 
-export function displayBattleResult(attacker, defender) {
+// move: the attacker's selected move ({ name, power, type, damageClass, accuracy, priority })
+export function displayBattleResult(attacker, defender, move) {
     const attackerElement = document.getElementById('battle-attacker');
     const defenderElement = document.getElementById('battle-defender');
     
-    updateBattleSlot(attackerElement, attacker, 'attacker');
+    updateBattleSlot(attackerElement, attacker, 'attacker', move);
     updateBattleSlot(defenderElement, defender, 'defender');
 }
 
-function updateBattleSlot(element, pokemon, role) {
+function updateBattleSlot(element, pokemon, role, move) {
     if (!element) return;
     
     if (!pokemon) {
@@ -86,6 +226,15 @@ function updateBattleSlot(element, pokemon, role) {
     const image = pokemon.sprites.other['official-artwork']?.front_default || 
                   pokemon.sprites.front_default;
     
+    // Both Pokemon need a level for their stats, only the attacker uses a move
+    const moveControls = role === 'attacker' ? `
+            ${createMovePicker(pokemon, move)}
+            
+            <label class="battle-checkbox">
+                <input type="checkbox" id="${role}-burned" onchange="window.calculateBattleDamage?.()"> Burned
+            </label>
+            ` : '';
+    
     element.innerHTML = `
         <h4>${capitalizeFirst(pokemon.name)} (${capitalizeFirst(role)})</h4>
         <div class="battle-slot">
@@ -95,130 +244,193 @@ function updateBattleSlot(element, pokemon, role) {
             <label>Level:</label>
             <input type="number" value="50" min="1" max="100" id="${role}-level" onchange="window.calculateBattleDamage?.()">
             
+            <label class="battle-checkbox" title="Use the IVs, EVs and nature of an imported Showdown set, or else the ones saved in the stat calculator on the Pokémon card">
+                <input type="checkbox" id="${role}-use-spread" onchange="window.calculateBattleDamage?.()"> Use saved stat spread
+            </label>
+            ${moveControls}
+            <button onclick="window.removeFromBattle?.('${role}')">Remove</button>
+        </div>
+    `;
+}
+
+// Searchable list of the moves the attacker learns, plus editable move details
+// The datalist suggests learnset moves while typing, but any move name can be entered
+function createMovePicker(pokemon, move) {
+    const learnset = createLearnsetOptions(pokemon);
+    const typeOptions = ALL_TYPES
+        .map(type => `<option value="${type}" ${type === move.type ? 'selected' : ''}>${capitalizeFirst(type)}</option>`)
+        .join('');
+    const categoryOptions = [
+        ['physical', 'Physical (Atk vs Def)'],
+        ['special', 'Special (Sp. Atk vs Sp. Def)'],
+        ['status', 'Status (no damage)']
+    ].map(([value, label]) => `<option value="${value}" ${value === move.damageClass ? 'selected' : ''}>${label}</option>`).join('');
+    
+    return `
+            <label for="attacker-move-search">Move:</label>
+            <input type="text" id="attacker-move-search" list="attacker-move-list"
+                   placeholder="Search ${pokemon.moves.length} moves..." value="${move.name ? formatAbilityName(move.name) : ''}"
+                   onchange="window.selectBattleMove?.(this.value)">
+            <datalist id="attacker-move-list">${learnset}</datalist>
+            
             <label>Move Type:</label>
-            <select id="${role}-move-type" onchange="window.calculateBattleDamage?.()">
-                <option value="normal">Normal</option>
-                <option value="fire">Fire</option>
-                <option value="water">Water</option>
-                <option value="electric">Electric</option>
-                <option value="grass">Grass</option>
-                <option value="ice">Ice</option>
-                <option value="fighting">Fighting</option>
-                <option value="poison">Poison</option>
-                <option value="ground">Ground</option>
-                <option value="flying">Flying</option>
-                <option value="psychic">Psychic</option>
-                <option value="bug">Bug</option>
-                <option value="rock">Rock</option>
-                <option value="ghost">Ghost</option>
-                <option value="dragon">Dragon</option>
-                <option value="dark">Dark</option>
-                <option value="steel">Steel</option>
-                <option value="fairy">Fairy</option>
-            </select>
+            <select id="attacker-move-type" onchange="window.updateCustomMove?.()">${typeOptions}</select>
             
             <label>Move Power:</label>
-            <input type="number" value="80" min="1" max="200" id="${role}-move-power" onchange="window.calculateBattleDamage?.()">
+            <input type="number" value="${move.power ?? ''}" min="1" max="250" id="attacker-move-power" onchange="window.updateCustomMove?.()">
             
-            <button onclick="window.removeFromBattle?.('${role}')">Remove</button>
-        </div>
+            <label>Category:</label>
+            <select id="attacker-move-category" onchange="window.updateCustomMove?.()">${categoryOptions}</select>
+            
+            <p class="move-details" id="attacker-move-details">${getMoveDetailsText(move)}</p>
     `;
 }
 
-// =============================================================================
-// EVOLUTION CHAIN DISPLAY
-// =============================================================================
+// <option> list of every move a Pokemon learns, alphabetically, for a <datalist>
+export function createLearnsetOptions(pokemon) {
+    return pokemon.moves
+        .map(entry => entry.move.name)
+        .sort()
+        .map(moveName => `<option value="${formatAbilityName(moveName)}"></option>`)
+        .join('');
+}
 
-export async function displayEvolutionChain(chain) {
-    const evolutionDisplay = document.getElementById('evolution-display');
-    if (!evolutionDisplay) return;
+// "Flamethrower · Accuracy 100% · Priority 0" - custom moves have no name
+function getMoveDetailsText(move) {
+    const name = move.name ? formatAbilityName(move.name) : 'Custom move';
+    const accuracy = move.accuracy === null ? 'never misses' : `${move.accuracy}%`;
+    const priority = move.priority > 0 ? `+${move.priority}` : move.priority;
+    return `${name} · Accuracy ${accuracy} · Priority ${priority}`;
+}
+
+// Fill the move fields after a move was picked from the list
+export function displayBattleMove(move) {
+    const fields = {
+        search: document.getElementById('attacker-move-search'),
+        type: document.getElementById('attacker-move-type'),
+        power: document.getElementById('attacker-move-power'),
+        category: document.getElementById('attacker-move-category'),
+        details: document.getElementById('attacker-move-details')
+    };
+    if (!fields.details) return;
+    
+    fields.search.value = move.name ? formatAbilityName(move.name) : '';
+    fields.type.value = move.type;
+    fields.power.value = move.power ?? '';
+    fields.category.value = move.damageClass;
+    fields.details.textContent = getMoveDetailsText(move);
+}
+
+// Show the output of the damage engine
+// result: { min, max, effectiveness, stab, percentMin, percentMax, hitsToKO, defenderHp, attackStat, defenseStat }
+export function displayDamageResult(result, attackerName, defenderName) {
+    const resultElement = document.getElementById('battle-result');
+    if (!resultElement) return;
     
-    const evolutionStages = [];
+    let effectivenessText = '';
+    if (result.effectiveness === 0) effectivenessText = `It doesn't affect ${capitalizeFirst(defenderName)}...`;
+    else if (result.effectiveness < 1) effectivenessText = "It's not very effective...";
+    else if (result.effectiveness > 1) effectivenessText = "It's super effective!";
+    else effectivenessText = "It's normally effective.";
     
-    // Traverse the evolution chain
-    let currentStage = chain;
-    while (currentStage) {
-        try {
-            const pokemonResponse = await fetch(`https://pokeapi.co/api/v2/pokemon/${currentStage.species.name}`);
-            const pokemonData = await pokemonResponse.json();
-            
-            const evolutionMethod = currentStage.evolution_details[0];
-            evolutionStages.push({
-                pokemon: pokemonData,
-                method: evolutionMethod
-            });
-        } catch (error) {
-            console.error('Error fetching evolution stage:', error);
-        }
-        
-        // Move to next evolution (take first evolution if multiple)
-        currentStage = currentStage.evolves_to[0] || null;
+    // "guaranteed 2HKO" when every roll needs the same number of hits, "2-3 hits" otherwise
+    let koText = 'Cannot KO';
+    if (result.hitsToKO) {
+        const { min, max } = result.hitsToKO;
+        koText = min === max
+            ? (min === 1 ? 'Guaranteed OHKO' : `Guaranteed ${min}HKO`)
+            : `${min}-${max} hits`;
     }
     
-    // Display evolution stages
-    evolutionDisplay.innerHTML = evolutionStages.map((stage, index) => {
-        const pokemon = stage.pokemon;
-        const method = stage.method;
-        const image = pokemon.sprites.other['official-artwork']?.front_default || 
-                     pokemon.sprites.front_default;
-        
-        let evolutionText = '';
-        if (method) {
-            if (method.min_level) evolutionText = `Level ${method.min_level}`;
-            else if (method.item) evolutionText = `Use ${method.item.name}`;
-            else if (method.trigger) evolutionText = capitalizeFirst(method.trigger.name);
-        }
-        
-        const arrow = index < evolutionStages.length - 1 ? '<div class="evolution-arrow">➡️</div>' : '';
-        
-        return `
-            <div class="evolution-stage" onclick="window.searchPokemon?.('${pokemon.name}')">
-                <img src="${image}" alt="${pokemon.name}" class="evolution-image">
-                <div class="evolution-name">${capitalizeFirst(pokemon.name)}</div>
-                <div class="evolution-level">${evolutionText}</div>
-            </div>
-            ${arrow}
-        `;
-    }).join('');
+    resultElement.innerHTML = `
+        <div class="battle-result">
+            <h4>${capitalizeFirst(attackerName)} vs ${capitalizeFirst(defenderName)}</h4>
+            <p><strong>Damage:</strong> ${result.min} - ${result.max} HP</p>
+            <p><strong>Stats used:</strong> ${result.attackStat} attacking vs ${result.defenseStat} defending</p>
+            <p><strong>Defender HP:</strong> ${result.percentMin.toFixed(1)}% - ${result.percentMax.toFixed(1)}% of ${result.defenderHp} HP</p>
+            <p><strong>Hits to KO:</strong> ${koText}</p>
+            <p><strong>Effectiveness:</strong> ${result.effectiveness}x${result.stab ? ' (STAB 1.5x)' : ''}</p>
+            <p><em>${effectivenessText}</em></p>
+        </div>
+    `;
+}
+
+// The message can quote a typed move name, so it is shown as text
+export function displayDamageError(message) {
+    const resultElement = document.getElementById('battle-result');
+    if (resultElement) {
+        resultElement.innerHTML = '<p class="battle-error"></p>';
+        resultElement.querySelector('.battle-error').textContent = `⚠️ ${message}`;
+    }
 }
 
 // =============================================================================
-// QUIZ GAME DISPLAY
+// EVOLUTION CHAIN DISPLAY
 // =============================================================================
 
-export function displayQuizQuestion(quizGame) {
-    const quizContainer = document.getElementById('quiz-container');
-    if (!quizContainer) return;
-    
-    const pokemon = quizGame.currentPokemon;
-    const image = pokemon.sprites.other['official-artwork']?.front_default || 
-                 pokemon.sprites.front_default;
+// Receives the tree already loaded by the controller: { name, pokemon, details, children }
+// Branching families (Eevee, Wurmple, Tyrogue, ...) are drawn with one row per branch
+// currentSpecies: the species the chain was opened for, highlighted in the tree
+export function displayEvolutionChain(tree, currentSpecies = null) {
+    const evolutionDisplay = document.getElementById('evolution-display');
+    if (!evolutionDisplay) return;
     
-    quizContainer.innerHTML = `
-        <div class="quiz-score">
-            <span>Score: ${quizGame.score}</span>
-            <span>Streak: ${quizGame.streak}</span>
-        </div>
-        
-        <div class="quiz-image-container">
-            <img src="${image}" alt="Mystery Pokemon" class="quiz-image silhouette" id="quiz-image">
-        </div>
-        
-        <div class="quiz-options" id="quiz-options">
-            ${quizGame.options.map((option, index) => `
-                <button class="quiz-option" onclick="window.selectQuizAnswer?.(${index})">
-                    ${capitalizeFirst(option.name)}
-                </button>
+    const isSingleStage = tree.children.length === 0;
+    evolutionDisplay.innerHTML = `
+        <div class="evolution-tree">${createEvolutionNode(tree, currentSpecies)}</div>
+        ${isSingleStage ? '<p class="evolution-none">This Pokémon does not evolve.</p>' : ''}
+    `;
+}
+
+// One stage followed by the stages it evolves into - recursion draws the whole tree
+function createEvolutionNode(node, currentSpecies) {
+    const branches = node.children.length === 0 ? '' : `
+        <div class="evolution-branches ${node.children.length > 1 ? 'split' : ''}">
+            ${node.children.map(child => `
+                <div class="evolution-branch">
+                    <div class="evolution-arrow">
+                        <span class="arrow-icon">➡️</span>
+                        ${createEvolutionMethods(child.details)}
+                    </div>
+                    ${createEvolutionNode(child, currentSpecies)}
+                </div>
             `).join('')}
         </div>
-        
-        <div class="quiz-actions">
-            <button onclick="window.revealQuizAnswer?.()" class="action-btn">💡 Reveal</button>
-            <button onclick="window.generateNewQuizQuestion?.()" class="action-btn secondary">⏭️ Skip</button>
+    `;
+    
+    return `
+        <div class="evolution-node">
+            ${createEvolutionStage(node, currentSpecies)}
+            ${branches}
         </div>
     `;
 }
 
+// How a stage is reached - several alternatives are listed one below the other
+function createEvolutionMethods(details) {
+    const methods = describeEvolutionMethods(details);
+    return methods
+        .map(method => `<span class="evolution-method">${method}</span>`)
+        .join('<span class="evolution-or">or</span>');
+}
+
+function createEvolutionStage(node, currentSpecies) {
+    const pokemon = node.pokemon;
+    const image = pokemon
+        ? pokemon.sprites.other['official-artwork']?.front_default || pokemon.sprites.front_default
+        : '';
+    // The stage's Pokemon name opens its forms correctly ("wormadam-plant"), the species name is the fallback
+    const searchName = pokemon ? pokemon.name : node.name;
+    
+    return `
+        <button type="button" class="evolution-stage ${node.name === currentSpecies ? 'current' : ''}"
+                onclick="window.searchPokemon?.('${searchName}')" title="Open ${formatPokemonName(node.name)}">
+            ${image ? `<img src="${image}" alt="${node.name}" class="evolution-image" loading="lazy">` : '<span class="evolution-image missing">?</span>'}
+            <span class="evolution-name">${formatPokemonName(node.name)}</span>
+        </button>
+    `;
+}
+
 // =============================================================================
 // MOVESET DISPLAY
 // =============================================================================
@@ -0,0 +1,246 @@
+// Multiplayer Quiz View - Handles the hot-seat quiz for several players
+// This file renders the match setup (players, buzz keys, rounds), the scoreboard
+// with each question, and the podium at the end of a match
+
+// Import dependencies
+import { QUIZ_KINDS } from '../Model/quizModes.js';
+import { MIN_PLAYERS, MAX_PLAYERS, MAX_ROUNDS, BUZZ_PENALTY, MATCH_STYLES, BUZZ_KEYS, getMatchRound, getAnsweringPlayer, isMatchOver } from '../Model/quizMultiplayer.js';
+import { createQuizModeFields, createQuestionBody, createOptionContent, describeQuizAnswer } from './quizDisplay.js';
+
+const PODIUM_MEDALS = { 1: '🥇', 2: '🥈', 3: '🥉' };
+
+function getQuizContainer() {
+    return document.getElementById('quiz-container');
+}
+
+// Player names are typed in by the players, so they are filled in as text after rendering:
+// every <span data-player="index"> gets that player's name
+function fillPlayerNames(container, players) {
+    container.querySelectorAll('[data-player]').forEach(element => {
+        element.textContent = players[element.dataset.player].name;
+    });
+}
+
+function createPlayerName(playerIndex) {
+    return `<span class="multiplayer-player-name" data-player="${playerIndex}"></span>`;
+}
+
+// =============================================================================
+// SETUP
+// =============================================================================
+
+// setup: { names, style, rounds, mode }
+export function displayMultiplayerSetup(setup) {
+    const container = getQuizContainer();
+    if (!container) return;
+    
+    container.innerHTML = `
+        <div class="quiz-mode-picker multiplayer-setup">
+            <h4>👥 Multiplayer</h4>
+            <p class="multiplayer-status" id="multiplayer-status"></p>
+            <ol class="multiplayer-players">
+                ${setup.names.map((name, index) => `
+                    <li>
+                        <input type="text" class="multiplayer-name" maxlength="20" placeholder="Player ${index + 1}" aria-label="Player ${index + 1} name">
+                        <kbd title="Buzz key">${BUZZ_KEYS[index].toUpperCase()}</kbd>
+                        <button class="multiplayer-remove" onclick="window.removeMultiplayerPlayer?.(${index})"
+                            title="Remove player" ${setup.names.length <= MIN_PLAYERS ? 'disabled' : ''}>✖</button>
+                    </li>
+                `).join('')}
+            </ol>
+            <button class="action-btn secondary" onclick="window.addMultiplayerPlayer?.()" ${setup.names.length >= MAX_PLAYERS ? 'disabled' : ''}>➕ Add Player</button>
+            <fieldset class="quiz-kinds multiplayer-styles">
+                <legend>Play</legend>
+                <label class="quiz-kind">
+                    <input type="radio" name="multiplayer-style" value="turns" ${setup.style === 'turns' ? 'checked' : ''}>
+                    <span>${MATCH_STYLES.turns.icon} ${MATCH_STYLES.turns.name} - every player answers their own questions</span>
+                </label>
+                <label class="quiz-kind">
+                    <input type="radio" name="multiplayer-style" value="buzz" ${setup.style === 'buzz' ? 'checked' : ''}>
+                    <span>${MATCH_STYLES.buzz.icon} ${MATCH_STYLES.buzz.name} - press your key first to answer, a wrong answer costs ${BUZZ_PENALTY} points</span>
+                </label>
+            </fieldset>
+            ${createQuizModeFields(setup.mode, `
+                <label for="multiplayer-rounds">Rounds:</label>
+                <input type="number" id="multiplayer-rounds" min="1" max="${MAX_ROUNDS}" value="${setup.rounds}">
+            `)}
+            <div class="quiz-actions">
+                <button class="action-btn" onclick="window.startMultiplayerQuiz?.()">🎮 Start Match</button>
+                <button class="action-btn secondary" onclick="window.showQuizModePicker?.()">⬅️ Back</button>
+            </div>
+        </div>
+    `;
+    
+    container.querySelectorAll('.multiplayer-name').forEach((input, index) => {
+        input.value = setup.names[index];
+    });
+}
+
+export function showMultiplayerStatus(message) {
+    const status = document.getElementById('multiplayer-status');
+    if (status) {
+        status.textContent = message;
+    }
+}
+
+// =============================================================================
+// MATCH
+// =============================================================================
+
+// turn: { question, selectedIndex, wrongIndexes, isOver, lastResult } - question is null while it loads
+export function displayMultiplayerQuestion(match, mode, turn) {
+    const container = getQuizContainer();
+    if (!container) return;
+    
+    const question = turn.question;
+    container.innerHTML = `
+        ${createScoreboard(match, turn)}
+        <p class="multiplayer-turn">${createTurnStatus(match, turn)}</p>
+        ${question ? `
+            <p class="quiz-prompt">${QUIZ_KINDS[question.kind].prompt}</p>
+            <div class="quiz-pokemon">
+                ${createQuestionBody(question, mode, turn.isOver)}
+                <div class="quiz-options ${question.kind === 'speed' ? 'versus' : ''}">
+                    ${question.options.map((option, index) => createMultiplayerOption(match, turn, option, index)).join('')}
+                </div>
+            </div>
+        ` : '<p class="quiz-loading">Loading question...</p>'}
+        <div class="quiz-actions">
+            ${turn.isOver ? `
+                <button onclick="window.nextMultiplayerQuestion?.()" class="action-btn">${isMatchOver(match) ? '🏆 See Podium' : '➡️ Next Question'}</button>
+            ` : question ? `
+                <button onclick="window.revealMultiplayerAnswer?.()" class="action-btn secondary">🤷 Nobody Knows</button>
+            ` : ''}
+            <button onclick="window.showQuizModePicker?.()" class="action-btn secondary">🎛️ Quit Match</button>
+        </div>
+    `;
+    fillPlayerNames(container, match.players);
+}
+
+// Buzz matches show each player's key - clicking a player buzzes in too, for touch screens
+function createScoreboard(match, turn) {
+    const answeringPlayer = turn.isOver ? null : getAnsweringPlayer(match);
+    const isBuzz = match.style === 'buzz';
+    
+    return `
+        <div class="multiplayer-scoreboard">
+            ${match.players.map((player, index) => {
+                const classes = ['multiplayer-player'];
+                if (index === answeringPlayer) classes.push('answering');
+                if (match.lockedOut.includes(index)) classes.push('locked');
+                
+                return isBuzz ? `
+                    <button class="${classes.join(' ')}" onclick="window.buzzMultiplayerPlayer?.(${index})">
+                        <kbd>${player.key.toUpperCase()}</kbd>
+                        ${createPlayerName(index)}
+                        <span class="multiplayer-score">${player.score}</span>
+                    </button>
+                ` : `
+                    <div class="${classes.join(' ')}">
+                        ${createPlayerName(index)}
+                        <span class="multiplayer-score">${player.score}</span>
+                    </div>
+                `;
+            }).join('')}
+        </div>
+    `;
+}
+
+// What is happening right now - whose turn it is, who buzzed, or how the question ended
+function createTurnStatus(match, turn) {
+    const round = `Round ${getMatchRound(match)} of ${match.rounds}`;
+    const result = turn.lastResult;
+    
+    if (!turn.question) {
+        return round;
+    }
+    if (turn.isOver) {
+        if (result && result.points > 0) {
+            return `✅ ${createPlayerName(result.playerIndex)} +${result.points}`;
+        }
+        const loser = result ? `❌ ${createPlayerName(result.playerIndex)}${result.points < 0 ? ` ${result.points}` : ''} - ` : '🤷 Nobody got it - ';
+        return `${loser}${describeQuizAnswer(turn.question)}.`;
+    }
+    if (match.style === 'turns') {
+        return `${round} · ${createPlayerName(getAnsweringPlayer(match))}'s turn`;
+    }
+    if (match.buzzedPlayer !== null) {
+        return `🔔 ${createPlayerName(match.buzzedPlayer)} buzzed in - pick an answer!`;
+    }
+    // A wrong buzz-in leaves the question open for everyone else
+    const wrongBuzz = result ? `❌ ${createPlayerName(result.playerIndex)} ${result.points} - ` : '';
+    return `${wrongBuzz}${round} · Buzz in with your key!`;
+}
+
+// Options can only be picked by the player whose turn it is or who buzzed in
+function createMultiplayerOption(match, turn, option, index) {
+    const question = turn.question;
+    const classes = ['quiz-option'];
+    if (turn.isOver && index === question.answerIndex) classes.push('correct');
+    if (turn.wrongIndexes.includes(index)) classes.push('incorrect');
+    
+    const canAnswer = !turn.isOver && getAnsweringPlayer(match) !== null && !turn.wrongIndexes.includes(index);
+    return `
+        <button class="${classes.join(' ')}" onclick="window.selectMultiplayerAnswer?.(${index})" ${canAnswer ? '' : 'disabled'}>
+            ${createOptionContent(question, option, turn.isOver)}
+        </button>
+    `;
+}
+
+// =============================================================================
+// PODIUM
+// =============================================================================
+
+// ranking: from getMatchRanking() - the best player first
+export function displayMultiplayerPodium(match, ranking) {
+    const container = getQuizContainer();
+    if (!container) return;
+    
+    // Second place on the left, the winner in the middle, third on the right
+    const podium = [ranking[1], ranking[0], ranking[2]].filter(Boolean);
+    
+    container.innerHTML = `
+        <div class="multiplayer-podium">
+            <h4>🏆 Final Standings</h4>
+            <div class="podium-steps">
+                ${podium.map(player => `
+                    <div class="podium-step place-${Math.min(player.place, 3)}">
+                        <span class="podium-medal">${PODIUM_MEDALS[player.place] || ''}</span>
+                        ${createPlayerName(player.index)}
+                        <span class="multiplayer-score">${player.score}</span>
+                        <div class="podium-block">${player.place}</div>
+                    </div>
+                `).join('')}
+            </div>
+            <ol class="multiplayer-ranking">
+                ${ranking.map(player => `
+                    <li>
+                        <span class="multiplayer-place">${player.place}.</span>
+                        ${createPlayerName(player.index)}
+                        <span>${player.correct} correct</span>
+                        <span class="multiplayer-score">${player.score}</span>
+                    </li>
+                `).join('')}
+            </ol>
+        </div>
+        <div class="quiz-actions">
+            <button onclick="window.rematchMultiplayerQuiz?.()" class="action-btn">🔁 Rematch</button>
+            <button onclick="window.showMultiplayerSetup?.()" class="action-btn secondary">👥 Change Players</button>
+            <button onclick="window.showQuizModePicker?.()" class="action-btn secondary">🎛️ Change Mode</button>
+        </div>
+    `;
+    fillPlayerNames(container, match.players);
+}
+
+export function displayMultiplayerError(message) {
+    const container = getQuizContainer();
+    if (!container) return;
+    
+    container.innerHTML = `
+        <p class="quiz-error">${message}</p>
+        <div class="quiz-actions">
+            <button onclick="window.retryMultiplayerQuestion?.()" class="action-btn">🔁 Try Again</button>
+            <button onclick="window.showQuizModePicker?.()" class="action-btn secondary">🎛️ Quit Match</button>
+        </div>
+    `;
+}
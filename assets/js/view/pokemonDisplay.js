@@ -2,7 +2,8 @@
 // This file contains all functions related to displaying Pokemon information
 
 // Import utility functions
-import { capitalizeFirst, formatStatName, formatAbilityName, getTypeColor } from './utilityFunctions.js';
+import { capitalizeFirst, formatStatName, formatAbilityName, formatPokemonName, getTypeColor } from './utilityFunctions.js';
+import { getDefensiveMatchups } from '../Model/typeMatchups.js';
 
 // Main function to display Pokémon data in HTML format
 export function displayPokemon(pokemon) {
@@ -121,6 +122,9 @@ export function displayPokemon(pokemon) {
                 <div class="total-stats">
                     <strong>Total: ${stats.reduce((sum, stat) => sum + stat.value, 0)}</strong>
                 </div>
+                
+                <!-- Filled by the stat calculator controller: real stats from level, IVs, EVs and nature -->
+                <details class="stat-calculator" id="stat-calculator"></details>
             </div>
             
             <div class="pokemon-actions">
@@ -132,34 +136,107 @@ export function displayPokemon(pokemon) {
             </div>
         </div>
     `;
+    
+    // Show the defensive matchups of the new Pokemon below the card
+    displayTypeEffectiveness(pokemon.types);
+}
+
+// Type effectiveness display - fills the 4x / 2x / 1x / 0.5x / 0.25x / 0x buckets
+// of the #type-effectiveness section for a Pokemon's types (pokemon.types from the API)
+export function displayTypeEffectiveness(pokemonTypes) {
+    const section = document.getElementById('type-effectiveness');
+    if (!section) return;
+    
+    const typeNames = pokemonTypes.map(type => type.type.name);
+    const defenderElement = document.getElementById('effectiveness-defender');
+    if (defenderElement) {
+        defenderElement.textContent = typeNames.map(capitalizeFirst).join(' / ');
+    }
+    
+    getDefensiveMatchups(typeNames).forEach(({ multiplier, types }) => {
+        const typeList = section.querySelector(`[data-multiplier="${multiplier}"] .type-list`);
+        if (!typeList) return;
+        
+        typeList.innerHTML = types.length > 0
+            ? types.map(type => `<span class="type-badge type-badge-small ${type}" style="background-color: ${getTypeColor(type)}">${capitalizeFirst(type)}</span>`).join('')
+            : '<span class="no-types">None</span>';
+    });
+    
+    section.style.display = 'block';
+}
+
+export function hideTypeEffectiveness() {
+    const section = document.getElementById('type-effectiveness');
+    if (section) {
+        section.style.display = 'none';
+    }
 }
 
 // Error display function
-export function showError(message) {
+// options.suggestions - optional index entries ({ name }) shown as "Did you mean…?" buttons
+export function showError(message, options = {}) {
+    const { suggestions = [] } = options;
     const output = document.getElementById('output');
+    
+    // The matchups of a previous Pokemon would be misleading next to an error
+    hideTypeEffectiveness();
+    
     if (output) {
+        // One click on a suggestion searches for that Pokemon
+        const suggestionsHTML = suggestions.length > 0 ? `
+            <p class="error-suggestions-label">Did you mean…?</p>
+            <div class="error-suggestions">
+                ${suggestions.map(suggestion => `
+                    <button onclick="window.searchPokemon?.('${suggestion.name}')" class="suggestion-btn">${formatPokemonName(suggestion.name)}</button>
+                `).join('')}
+            </div>
+        ` : '';
+        
         // Create an error UI with multiple recovery options
         output.innerHTML = `
             <div class="error-message">
                 <div class="error-icon">😕</div>
                 <h3>Oops! Something went wrong</h3>
-                <p>${message}</p>
+                <p class="error-text"></p>
+                ${suggestionsHTML}
                 <div class="error-actions">
                     <button onclick="window.getRandomPokemon?.()" class="retry-button">🎲 Try Random Pokémon</button>
                     <button onclick="document.getElementById('pokemon-search').value = ''; document.getElementById('pokemon-search').focus()" class="retry-button secondary">🔍 Search Again</button>
                 </div>
             </div>
         `;
+        // Messages can contain what the user typed or a link said, so they are shown as text
+        output.querySelector('.error-text').textContent = message;
     }
 }
 
 // Loading state management functions
 export function showLoadingState() {
     const loadingElement = document.getElementById('loading');
-    if (loadingElement) loadingElement.style.display = 'block';
+    if (!loadingElement) return;
+    
+    // Reset any "retrying" message left over from a previous search
+    loadingElement.classList.remove('retrying');
+    const loadingText = loadingElement.querySelector('.loading-text');
+    if (loadingText) loadingText.textContent = 'Searching for Pokémon...';
+    
+    loadingElement.style.display = 'block';
+}
+
+// Shown while the model backs off before retrying a failed request
+// Receives the retry info object passed to the onRetry callback of fetchPokemon
+export function showRetryingState({ attempt, maxRetries, delay }) {
+    const loadingElement = document.getElementById('loading');
+    if (!loadingElement) return;
+    
+    loadingElement.classList.add('retrying');
+    const loadingText = loadingElement.querySelector('.loading-text');
+    if (loadingText) {
+        loadingText.textContent = `Connection trouble - retrying… (attempt ${attempt} of ${maxRetries}, in ${(delay / 1000).toFixed(1)}s)`;
+    }
 }
 
 export function hideLoadingState() {
     const loadingElement = document.getElementById('loading');
     if (loadingElement) loadingElement.style.display = 'none';
-}
\ No newline at end of file
+}
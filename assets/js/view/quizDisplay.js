@@ -0,0 +1,391 @@
+// Quiz View - Handles the quiz mode picker, questions and results
+// This file renders the form to pick a mode, the saved stats, one question of any kind
+// (silhouette, type, speed or Pokédex entry), the blitz countdown, the end of a game
+// and the shareable result of the daily challenge
+
+// Import utility functions
+import { formatPokemonName } from './utilityFunctions.js';
+import { QUIZ_KINDS, QUIZ_DIFFICULTIES, QUIZ_POOLS, BLITZ_SECONDS, CORRECT_ANSWER_POINTS, describeQuizMode, getBaseSpeed, getQuestionPokemon } from '../Model/quizModes.js';
+import { getPokemonSpriteUrl } from '../Model/pokemonData.js';
+import { DAILY_QUESTION_COUNT } from '../Model/dailyChallenge.js';
+
+function getQuizContainer() {
+    return document.getElementById('quiz-container');
+}
+
+function getQuizImage(pokemon) {
+    return pokemon.sprites.other['official-artwork']?.front_default || pokemon.sprites.front_default;
+}
+
+// Let the browser download a prepared question's artwork before it is shown,
+// so the image is already there when the question comes up
+export function preloadQuizImages(question) {
+    getQuestionPokemon(question).forEach(pokemon => {
+        const image = getQuizImage(pokemon);
+        if (image) {
+            new Image().src = image;
+        }
+    });
+}
+
+// =============================================================================
+// MODE PICKER
+// =============================================================================
+
+// mode: the mode to preselect, modeStats: [{ mode, bestScore, bestStreak, gamesPlayed }],
+// missedPokemon: [{ id, name, right, wrong, accuracy }] from the quiz stats model
+// daily: { date, answered, correct, finished } for today's challenge
+export function displayQuizModePicker(mode, modeStats, missedPokemon, daily) {
+    const container = getQuizContainer();
+    if (!container) return;
+    
+    container.innerHTML = `
+        ${createDailyCard(daily)}
+        <div class="quiz-mode-picker">
+            ${createQuizModeFields(mode, `
+                <label class="quiz-blitz">
+                    <input type="checkbox" id="quiz-blitz" ${mode.blitz ? 'checked' : ''}>
+                    ⏱️ Blitz - as many as you can in ${BLITZ_SECONDS} seconds
+                </label>
+                <label class="quiz-practice">
+                    <input type="checkbox" id="quiz-practice" ${mode.practice && missedPokemon.length > 0 ? 'checked' : ''} ${missedPokemon.length === 0 ? 'disabled' : ''}>
+                    🎯 Practice my misses - ask the Pokémon you get wrong more often
+                </label>
+            `)}
+            <div class="quiz-actions">
+                <button class="action-btn" onclick="window.startQuizGame?.()">🎮 Start Game</button>
+                <button class="action-btn secondary" onclick="window.showMultiplayerSetup?.()">👥 Multiplayer</button>
+            </div>
+        </div>
+        ${createQuizStats(modeStats, missedPokemon)}
+    `;
+}
+
+// The question kind, Pokémon pool and difficulty inputs - shared with the multiplayer setup
+// extraSettings: more inputs to show next to the pool and difficulty
+export function createQuizModeFields(mode, extraSettings = '') {
+    return `
+        <fieldset class="quiz-kinds">
+            <legend>Question</legend>
+            ${Object.entries(QUIZ_KINDS).map(([kind, info]) => `
+                <label class="quiz-kind">
+                    <input type="radio" name="quiz-kind" value="${kind}" ${kind === mode.kind ? 'checked' : ''}>
+                    <span>${info.icon} ${info.name}</span>
+                </label>
+            `).join('')}
+        </fieldset>
+        <div class="quiz-mode-settings">
+            <label for="quiz-pool">Pokémon:</label>
+            <select id="quiz-pool">
+                ${QUIZ_POOLS.map(pool => `<option value="${pool.id}" ${pool.id === mode.pool ? 'selected' : ''}>${pool.name}</option>`).join('')}
+            </select>
+            <label for="quiz-difficulty">Difficulty:</label>
+            <select id="quiz-difficulty">
+                ${Object.entries(QUIZ_DIFFICULTIES).map(([difficulty, info]) => `
+                    <option value="${difficulty}" ${difficulty === mode.difficulty ? 'selected' : ''}>${info.name} - ${describeDifficulty(info)}</option>
+                `).join('')}
+            </select>
+            ${extraSettings}
+        </div>
+    `;
+}
+
+function createDailyCard(daily) {
+    let button = '📅 Play Today\'s Challenge';
+    if (daily.finished) {
+        button = `✅ ${daily.correct}/${DAILY_QUESTION_COUNT} - See Result`;
+    } else if (daily.answered > 0) {
+        button = `▶️ Continue (${daily.answered}/${DAILY_QUESTION_COUNT})`;
+    }
+    
+    return `
+        <div class="quiz-daily">
+            <div>
+                <strong>📅 Daily Challenge · ${daily.date}</strong>
+                <p>${DAILY_QUESTION_COUNT} questions, the same for everyone today - one attempt only</p>
+            </div>
+            <button class="action-btn" onclick="window.startDailyChallenge?.()">${button}</button>
+        </div>
+    `;
+}
+
+function createQuizStats(modeStats, missedPokemon) {
+    if (modeStats.length === 0 && missedPokemon.length === 0) {
+        return '<div class="quiz-stats"><p class="quiz-stats-empty">📊 Play a game to start collecting stats.</p></div>';
+    }
+    
+    return `
+        <div class="quiz-stats">
+            <h4>📊 Your Quiz Stats</h4>
+            ${modeStats.length > 0 ? `
+                <table class="quiz-stats-table">
+                    <thead>
+                        <tr><th>Mode</th><th>Games</th><th>Best Score</th><th>Best Streak</th></tr>
+                    </thead>
+                    <tbody>
+                        ${modeStats.map(stats => `
+                            <tr>
+                                <td>${describeQuizMode(stats.mode)}</td>
+                                <td>${stats.gamesPlayed}</td>
+                                <td>${stats.bestScore}</td>
+                                <td>${stats.bestStreak}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            ` : ''}
+            ${missedPokemon.length > 0 ? `
+                <h5>Most missed Pokémon</h5>
+                <ul class="quiz-missed">
+                    ${missedPokemon.map(pokemon => `
+                        <li>
+                            <img src="${getPokemonSpriteUrl(pokemon.id)}" alt="${formatPokemonName(pokemon.name)}" loading="lazy">
+                            <span class="quiz-missed-name">${formatPokemonName(pokemon.name)}</span>
+                            <span class="quiz-missed-count">✅ ${pokemon.right} ❌ ${pokemon.wrong}</span>
+                            <span class="quiz-missed-accuracy">${Math.round(pokemon.accuracy * 100)}%</span>
+                        </li>
+                    `).join('')}
+                </ul>
+            ` : ''}
+            <button class="action-btn secondary" onclick="window.resetQuizStats?.()">🗑️ Reset Stats</button>
+        </div>
+    `;
+}
+
+// "4 options, silhouette"
+function describeDifficulty(difficulty) {
+    const sprites = {
+        'silhouette': 'silhouette',
+        'blurred': 'blurred sprite',
+        'blurred-silhouette': 'blurred silhouette, no outline'
+    };
+    return `${difficulty.optionCount} options, ${sprites[difficulty.sprite]}`;
+}
+
+// =============================================================================
+// QUESTIONS
+// =============================================================================
+
+function createQuizHeader(game) {
+    if (game.daily) {
+        // The question on screen, or the next one while it loads
+        const questionNumber = Math.min(game.selectedIndex === null ? game.answered + 1 : game.answered, DAILY_QUESTION_COUNT);
+        return `
+            <div class="quiz-score">
+                <span class="quiz-mode-name">📅 Daily Challenge · ${game.daily.date} · Question ${questionNumber} of ${DAILY_QUESTION_COUNT}</span>
+                <span>Score: <span>${game.score}</span></span>
+                <span>Streak: <span>${game.streak}</span></span>
+            </div>
+        `;
+    }
+    
+    return `
+        <div class="quiz-score">
+            <span class="quiz-mode-name">${describeQuizMode(game.mode)}</span>
+            <span>Score: <span>${game.score}</span></span>
+            <span>Streak: <span>${game.streak}</span></span>
+            <span>Best: <span>${Math.max(game.previousBest, game.score)}</span></span>
+            ${game.mode.blitz ? `<span class="quiz-timer">⏱️ <span id="quiz-timer">${game.timeLeft}</span>s</span>` : ''}
+        </div>
+    `;
+}
+
+export function displayQuizLoading(game) {
+    const container = getQuizContainer();
+    if (!container) return;
+    
+    container.innerHTML = `
+        ${createQuizHeader(game)}
+        <p class="quiz-loading">Loading question...</p>
+    `;
+}
+
+// Shows game.question - once game.selectedIndex is set, the same question is shown answered
+export function displayQuizQuestion(game) {
+    const container = getQuizContainer();
+    if (!container) return;
+    
+    const question = game.question;
+    const isAnswered = game.selectedIndex !== null;
+    
+    container.innerHTML = `
+        ${createQuizHeader(game)}
+        <p class="quiz-prompt">${QUIZ_KINDS[question.kind].prompt}</p>
+        <div class="quiz-pokemon">
+            ${createQuestionBody(question, game.mode, isAnswered)}
+            <div class="quiz-options ${question.kind === 'speed' ? 'versus' : ''}" id="quiz-options">
+                ${question.options.map((option, index) => createQuizOption(question, option, index, game.selectedIndex)).join('')}
+            </div>
+        </div>
+        ${isAnswered ? createQuizResult(game) : ''}
+        <div class="quiz-actions">
+            ${isAnswered ? createAnsweredActions(game) : `
+                <button onclick="window.revealQuizAnswer?.()" class="action-btn secondary">💡 Reveal</button>
+                ${game.daily ? '' : '<button onclick="window.generateNewQuizQuestion?.()" class="action-btn secondary">⏭️ Skip</button>'}
+            `}
+        </div>
+    `;
+}
+
+// Daily challenges can't be skipped or restarted - everyone gets exactly the same questions
+function createAnsweredActions(game) {
+    if (game.daily) {
+        const isLastQuestion = game.answered >= DAILY_QUESTION_COUNT;
+        return `
+            <button onclick="window.generateNewQuizQuestion?.()" class="action-btn">${isLastQuestion ? '📅 See Result' : '➡️ Next Question'}</button>
+            <button onclick="window.showQuizModePicker?.()" class="action-btn secondary">🎛️ Change Mode</button>
+        `;
+    }
+    
+    return `
+        <button onclick="window.generateNewQuizQuestion?.()" class="action-btn">➡️ Next Question</button>
+        <button onclick="window.resetQuizGame?.()" class="action-btn secondary">🔄 Restart</button>
+        <button onclick="window.showQuizModePicker?.()" class="action-btn secondary">🎛️ Change Mode</button>
+    `;
+}
+
+// The sprite, Pokédex entry or Pokemon name the question is about
+// Speed questions have none - their options are the Pokemon themselves
+export function createQuestionBody(question, mode, isAnswered) {
+    const pokemon = question.subject;
+    const image = getQuizImage(pokemon);
+    
+    switch (question.kind) {
+        case 'silhouette': {
+            const spriteClass = isAnswered ? 'revealed' : QUIZ_DIFFICULTIES[mode.difficulty].sprite;
+            return `
+                <div class="quiz-image-container">
+                    <img src="${image}" alt="Mystery Pokémon" class="quiz-image ${spriteClass}" id="quiz-image">
+                </div>
+            `;
+        }
+        case 'type':
+            return `
+                <div class="quiz-image-container">
+                    <img src="${image}" alt="${formatPokemonName(pokemon.name)}" class="quiz-image" id="quiz-image">
+                    <p class="quiz-subject-name">${formatPokemonName(pokemon.name)}</p>
+                </div>
+            `;
+        case 'entry':
+            return `
+                <blockquote class="quiz-entry">${question.entry}</blockquote>
+                ${isAnswered ? `
+                    <div class="quiz-image-container">
+                        <img src="${image}" alt="${formatPokemonName(pokemon.name)}" class="quiz-image revealed" id="quiz-image">
+                    </div>
+                ` : ''}
+            `;
+        default:
+            return '';
+    }
+}
+
+function createQuizOption(question, option, index, selectedIndex) {
+    const classes = ['quiz-option'];
+    if (selectedIndex !== null) {
+        if (index === question.answerIndex) classes.push('correct');
+        else if (index === selectedIndex) classes.push('incorrect');
+    }
+    
+    return `
+        <button class="${classes.join(' ')}" onclick="window.selectQuizAnswer?.(${index})" ${selectedIndex !== null ? 'disabled' : ''}>
+            ${createOptionContent(question, option, selectedIndex !== null)}
+        </button>
+    `;
+}
+
+// Speed questions show both Pokemon, and their Speed once answered
+export function createOptionContent(question, option, isAnswered) {
+    const label = getOptionLabel(option);
+    if (question.kind !== 'speed') return label;
+    
+    return `
+        <img src="${getQuizImage(option.pokemon)}" alt="${label}" class="quiz-image">
+        <span>${label}</span>
+        ${isAnswered ? `<span class="quiz-speed">Speed ${getBaseSpeed(option.pokemon)}</span>` : ''}
+    `;
+}
+
+function getOptionLabel(option) {
+    return option.pokemon ? formatPokemonName(option.label) : option.label;
+}
+
+// "It was Pikachu" or "Charizard is Fire / Flying"
+export function describeQuizAnswer(question) {
+    const answerName = getOptionLabel(question.options[question.answerIndex]);
+    return question.kind === 'type'
+        ? `${formatPokemonName(question.subject.name)} is ${answerName}`
+        : `It was ${answerName}`;
+}
+
+function createQuizResult(game) {
+    const question = game.question;
+    if (game.selectedIndex === question.answerIndex) {
+        return `<p class="quiz-result correct">✅ Correct! +${CORRECT_ANSWER_POINTS}</p>`;
+    }
+    
+    return `<p class="quiz-result incorrect">❌ ${describeQuizAnswer(question)}.</p>`;
+}
+
+export function updateQuizTimer(secondsLeft) {
+    const timer = document.getElementById('quiz-timer');
+    if (timer) {
+        timer.textContent = secondsLeft;
+    }
+}
+
+// =============================================================================
+// END OF A GAME
+// =============================================================================
+
+// isNewBest: the score beats every earlier game of the same mode
+export function displayQuizGameOver(game, isNewBest) {
+    const container = getQuizContainer();
+    if (!container) return;
+    
+    container.innerHTML = `
+        <div class="quiz-game-over">
+            <h4>⏱️ Time's up!</h4>
+            <p class="quiz-mode-name">${describeQuizMode(game.mode)}</p>
+            <p class="quiz-final-score">${game.score} points</p>
+            <p>${game.correct} of ${game.answered} answered correctly</p>
+            ${isNewBest ? '<p class="quiz-new-best">🏆 New best score for this mode!</p>' : ''}
+        </div>
+        <div class="quiz-actions">
+            <button onclick="window.resetQuizGame?.()" class="action-btn">🔄 Play Again</button>
+            <button onclick="window.showQuizModePicker?.()" class="action-btn secondary">🎛️ Change Mode</button>
+        </div>
+    `;
+}
+
+// results: whether each question was right, shareText: what "Copy Result" copies
+export function displayDailyResult(date, results, shareText) {
+    const container = getQuizContainer();
+    if (!container) return;
+    
+    container.innerHTML = `
+        <div class="quiz-game-over quiz-daily-result">
+            <h4>📅 Daily Challenge · ${date}</h4>
+            <p class="quiz-final-score">${results.filter(Boolean).length}/${DAILY_QUESTION_COUNT}</p>
+            <pre class="quiz-share-text">${shareText}</pre>
+            <p>Come back tomorrow for a new set of questions.</p>
+        </div>
+        <div class="quiz-actions">
+            <button onclick="window.copyDailyResult?.()" class="action-btn">📋 Copy Result</button>
+            <button onclick="window.showQuizModePicker?.()" class="action-btn secondary">🎛️ Change Mode</button>
+        </div>
+    `;
+}
+
+export function displayQuizError(message) {
+    const container = getQuizContainer();
+    if (!container) return;
+    
+    container.innerHTML = `
+        <p class="quiz-error">${message}</p>
+        <div class="quiz-actions">
+            <button onclick="window.generateNewQuizQuestion?.()" class="action-btn">🔁 Try Again</button>
+            <button onclick="window.showQuizModePicker?.()" class="action-btn secondary">🎛️ Change Mode</button>
+        </div>
+    `;
+}
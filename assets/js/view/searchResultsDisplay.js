@@ -0,0 +1,65 @@
+// Search Results View - Handles the results panel of structured queries
+// This file shows the matches of queries like "type:fire speed>100" as a grid of cards
+
+// Import dependencies
+import { createPokemonGridCard } from './browseDisplay.js';
+
+function getResultsElements() {
+    return {
+        panel: document.getElementById('search-results'),
+        summary: document.getElementById('search-results-summary'),
+        grid: document.getElementById('search-results-grid')
+    };
+}
+
+export function showSearchResultsLoading(query) {
+    const { panel, summary, grid } = getResultsElements();
+    if (!panel) return;
+    
+    summary.textContent = `Searching for "${query}"...`;
+    summary.classList.remove('error');
+    grid.innerHTML = '';
+    panel.style.display = 'block';
+}
+
+// Stat and legendary filters check every candidate Pokemon one by one
+export function showSearchResultsProgress({ checked, total }) {
+    const { summary } = getResultsElements();
+    if (summary) {
+        summary.textContent = `Checking Pokémon details... ${checked} of ${total}`;
+    }
+}
+
+export function displaySearchResults(query, results) {
+    const { panel, summary, grid } = getResultsElements();
+    if (!panel) return;
+    
+    summary.classList.remove('error');
+    if (results.length === 0) {
+        summary.textContent = `No Pokémon match "${query}".`;
+        grid.innerHTML = '';
+    } else {
+        summary.textContent = `${results.length} Pokémon match "${query}". Click one to see its details.`;
+        grid.innerHTML = results.map(createPokemonGridCard).join('');
+    }
+    panel.style.display = 'block';
+}
+
+// Parse errors come as a list (one per bad filter), lookup errors as a single message
+// textContent (with one message per line) keeps user input from being treated as HTML
+export function showSearchResultsError(messages) {
+    const { panel, summary, grid } = getResultsElements();
+    if (!panel) return;
+    
+    summary.textContent = messages.map(message => `⚠️ ${message}`).join('\n');
+    summary.classList.add('error');
+    grid.innerHTML = '';
+    panel.style.display = 'block';
+}
+
+export function hideSearchResults() {
+    const { panel } = getResultsElements();
+    if (panel) {
+        panel.style.display = 'none';
+    }
+}
@@ -0,0 +1,85 @@
+// Stat Calculator View - Handles the stat calculator panel on the Pokemon card
+// This file renders the level, nature, IV and EV inputs and the computed stats
+
+// Import utility functions
+import { capitalizeFirst, formatStatName } from './utilityFunctions.js';
+import { NATURES, STAT_NAMES, MAX_IV, MAX_STAT_EVS, MAX_TOTAL_EVS, MAX_LEVEL } from '../Model/statCalculator.js';
+
+// "Adamant (+Attack, -Sp. Attack)", "Hardy (neutral)"
+function formatNature(nature) {
+    const { increased, decreased } = NATURES[nature];
+    if (!increased) return `${capitalizeFirst(nature)} (neutral)`;
+    return `${capitalizeFirst(nature)} (+${formatStatName(increased)}, -${formatStatName(decreased)})`;
+}
+
+// Render the panel inside the Pokemon card with the inputs filled from a spread
+export function displayStatCalculator(pokemon, spread) {
+    const container = document.getElementById('stat-calculator');
+    if (!container) return;
+    
+    const natureOptions = Object.keys(NATURES)
+        .map(nature => `<option value="${nature}" ${nature === spread.nature ? 'selected' : ''}>${formatNature(nature)}</option>`)
+        .join('');
+    
+    const rows = pokemon.stats.map(stat => {
+        const statName = stat.stat.name;
+        return `
+            <tr data-stat="${statName}">
+                <td class="stat-calc-name">${formatStatName(statName)}</td>
+                <td>${stat.base_stat}</td>
+                <td><input type="number" class="stat-calc-iv" data-stat="${statName}" value="${spread.ivs[statName]}" min="0" max="${MAX_IV}" oninput="window.updateStatCalculator?.()"></td>
+                <td><input type="number" class="stat-calc-ev" data-stat="${statName}" value="${spread.evs[statName]}" min="0" max="${MAX_STAT_EVS}" step="4" oninput="window.updateStatCalculator?.()"></td>
+                <td class="stat-calc-value" id="stat-calc-value-${statName}">-</td>
+            </tr>
+        `;
+    }).join('');
+    
+    container.innerHTML = `
+        <summary>🧮 Stat Calculator</summary>
+        <div class="stat-calc-settings">
+            <label for="stat-calc-level">Level:</label>
+            <input type="number" id="stat-calc-level" value="${spread.level}" min="1" max="${MAX_LEVEL}" oninput="window.updateStatCalculator?.()">
+            <label for="stat-calc-nature">Nature:</label>
+            <select id="stat-calc-nature" onchange="window.updateStatCalculator?.()">${natureOptions}</select>
+        </div>
+        <table class="stat-calc-table">
+            <thead>
+                <tr><th>Stat</th><th>Base</th><th>IV</th><th>EV</th><th>Value</th></tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>
+        <p class="stat-calc-ev-total" id="stat-calc-ev-total"></p>
+        <ul class="stat-calc-errors" id="stat-calc-errors"></ul>
+        <div class="stat-calc-actions">
+            <button class="action-btn secondary" onclick="window.resetStatCalculator?.()">↺ Reset</button>
+            <span class="stat-calc-note">Valid spreads are saved and can be used by the battle calculator.</span>
+        </div>
+    `;
+}
+
+// Show the computed stats, or the reasons the spread is invalid
+// stats: { hp, attack, ... } or null when the spread is invalid
+export function updateStatCalculatorResults(stats, { evTotal, errors, nature }) {
+    const natureData = NATURES[nature];
+    
+    STAT_NAMES.forEach(statName => {
+        const cell = document.getElementById(`stat-calc-value-${statName}`);
+        if (!cell) return;
+        
+        cell.textContent = stats ? stats[statName] : '-';
+        // Highlight the stats the nature raises and lowers
+        cell.classList.toggle('nature-up', natureData?.increased === statName);
+        cell.classList.toggle('nature-down', natureData?.decreased === statName);
+    });
+    
+    const evTotalElement = document.getElementById('stat-calc-ev-total');
+    if (evTotalElement) {
+        evTotalElement.textContent = `EVs used: ${evTotal} / ${MAX_TOTAL_EVS} (${Math.max(MAX_TOTAL_EVS - evTotal, 0)} left)`;
+        evTotalElement.classList.toggle('over-limit', evTotal > MAX_TOTAL_EVS);
+    }
+    
+    const errorList = document.getElementById('stat-calc-errors');
+    if (errorList) {
+        errorList.innerHTML = errors.map(error => `<li>⚠️ ${error}</li>`).join('');
+    }
+}
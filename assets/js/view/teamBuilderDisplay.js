@@ -0,0 +1,218 @@
+// Team Builder View - Handles the six-slot team builder and its analysis panel
+// This file renders the saved team picker, the slots with ability and move choices,
+// the team's defensive weaknesses and offensive coverage, and the Showdown import results
+
+// Import utility functions
+import { capitalizeFirst, formatAbilityName, formatPokemonName, getTypeColor } from './utilityFunctions.js';
+import { createLearnsetOptions } from './gamingDisplay.js';
+
+// teams: every saved team, activeTeam: the one being edited
+// analysis: from analyseTeam() in the team builder model
+// learnsets: loaded Pokemon by ID, used to suggest moves - missing entries just get no suggestions
+export function displayTeamBuilder(teams, activeTeam, analysis, learnsets) {
+    const display = document.getElementById('team-display');
+    if (!display) return;
+    
+    display.innerHTML = `
+        <div class="team-picker">
+            <label for="team-select">Team:</label>
+            <select id="team-select" onchange="window.selectTeam?.(this.value)">
+                ${teams.map(team => `<option value="${team.id}" ${team.id === activeTeam.id ? 'selected' : ''}></option>`).join('')}
+            </select>
+            <button class="action-btn secondary" onclick="window.createNewTeam?.()">➕ New Team</button>
+            <button class="action-btn secondary" onclick="window.renameActiveTeam?.()">✏️ Rename</button>
+            <button class="action-btn secondary" onclick="window.deleteActiveTeam?.()">🗑️ Delete</button>
+        </div>
+        <div class="team-slots">
+            ${activeTeam.members.map((member, slot) => createTeamSlot(member, slot, learnsets)).join('')}
+        </div>
+        ${createTeamAnalysis(analysis)}
+    `;
+    
+    // Team names are typed by the user - they are filled in as text so they can't inject HTML
+    display.querySelectorAll('#team-select option').forEach((option, index) => {
+        option.textContent = teams[index].name;
+    });
+    // So are set summaries - their item comes from a pasted Showdown team
+    display.querySelectorAll('.team-set-summary').forEach(summary => {
+        summary.textContent = getSetSummary(activeTeam.members[summary.dataset.slot]);
+    });
+}
+
+function createTeamSlot(member, slot, learnsets) {
+    if (!member) {
+        return `
+            <div class="team-slot empty">
+                <span class="team-slot-number">${slot + 1}</span>
+                <input type="text" id="team-slot-input-${slot}" placeholder="Pokémon name or ID"
+                       aria-label="Pokémon for slot ${slot + 1}"
+                       onkeydown="if (event.key === 'Enter') window.setTeamSlotPokemon?.(${slot})">
+                <button class="action-btn" onclick="window.setTeamSlotPokemon?.(${slot})">Add</button>
+            </div>
+        `;
+    }
+    
+    const learnset = learnsets[member.id];
+    const moveInputs = member.moves.map((move, moveIndex) => `
+        <div class="team-move">
+            <input type="text" value="${move ? formatAbilityName(move.name) : ''}" list="team-move-list-${slot}"
+                   placeholder="Move ${moveIndex + 1}" aria-label="${formatPokemonName(member.name)} move ${moveIndex + 1}"
+                   onchange="window.setTeamMove?.(${slot}, ${moveIndex}, this.value)">
+            ${move ? `<span class="type-badge-small" style="background-color: ${getTypeColor(move.type)}">${capitalizeFirst(move.type)}</span>` : ''}
+        </div>
+    `).join('');
+    
+    return `
+        <div class="team-slot">
+            <span class="team-slot-number">${slot + 1}</span>
+            <div class="team-member-header">
+                <img src="${member.sprite}" alt="${member.name}">
+                <div>
+                    <h5>${formatPokemonName(member.name)}</h5>
+                    <div class="team-member-types">
+                        ${member.types.map(type => `<span class="type-badge-small" style="background-color: ${getTypeColor(type)}">${capitalizeFirst(type)}</span>`).join('')}
+                    </div>
+                </div>
+                <button class="team-remove" onclick="window.removeTeamSlot?.(${slot})" title="Remove from team">✕</button>
+            </div>
+            ${getSetSummary(member) ? `<p class="team-set-summary" data-slot="${slot}"></p>` : ''}
+            <label>Ability:</label>
+            <select onchange="window.setTeamAbility?.(${slot}, this.value)" aria-label="${formatPokemonName(member.name)} ability">
+                ${member.abilities.map(ability => `
+                    <option value="${ability.name}" ${ability.name === member.ability ? 'selected' : ''}>
+                        ${formatAbilityName(ability.name)}${ability.isHidden ? ' (Hidden)' : ''}
+                    </option>
+                `).join('')}
+            </select>
+            <label>Moves:</label>
+            <div class="team-moves">${moveInputs}</div>
+            <datalist id="team-move-list-${slot}">${learnset ? createLearnsetOptions(learnset) : ''}</datalist>
+        </div>
+    `;
+}
+
+// Item, level and nature of sets imported from Showdown - hand-built members have none
+function getSetSummary(member) {
+    const details = [];
+    if (member.item) details.push(`@ ${formatAbilityName(member.item)}`);
+    if (member.spread) details.push(`Lv. ${member.spread.level}`, `${capitalizeFirst(member.spread.nature)} nature`);
+    return details.join(' · ');
+}
+
+function createTeamAnalysis(analysis) {
+    if (analysis.memberCount === 0) {
+        return '<p class="team-placeholder">Add Pokémon to your team to see its weaknesses and move coverage.</p>';
+    }
+    
+    return `
+        <div class="team-analysis">
+            ${createDefenseTable(analysis.defense)}
+            ${createCoverageSummary(analysis)}
+        </div>
+    `;
+}
+
+// One row per attacking type: how many members are weak, resist it or are immune
+function createDefenseTable(defense) {
+    const names = list => list.map(formatPokemonName).join(', ');
+    const rows = defense.map(entry => `
+        <tr class="${entry.isThreat ? 'team-threat' : ''}">
+            <td><span class="type-badge-small" style="background-color: ${getTypeColor(entry.type)}">${capitalizeFirst(entry.type)}</span></td>
+            <td class="team-count weak" title="${names(entry.weak)}">${entry.weak.length || ''}</td>
+            <td class="team-count resist" title="${names(entry.resistant)}">${entry.resistant.length || ''}</td>
+            <td class="team-count immune" title="${names(entry.immune)}">${entry.immune.length || ''}</td>
+        </tr>
+    `).join('');
+    
+    const threats = defense.filter(entry => entry.isThreat);
+    
+    return `
+        <div class="team-defense">
+            <h4>🛡️ Defensive Weaknesses</h4>
+            <table>
+                <thead>
+                    <tr><th>Attack</th><th>Weak</th><th>Resist</th><th>Immune</th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+            <p class="team-summary">
+                ${threats.length
+                    ? `⚠️ Watch out for ${threats.map(entry => capitalizeFirst(entry.type)).join(', ')} - more of your team is weak to ${threats.length === 1 ? 'it' : 'them'} than resists ${threats.length === 1 ? 'it' : 'them'}.`
+                    : '👍 No attacking type hits more of your team than it resists.'}
+            </p>
+        </div>
+    `;
+}
+
+// Which defending types the team's moves hit super effectively, and the gaps
+function createCoverageSummary(analysis) {
+    if (analysis.moveCount === 0) {
+        return `
+            <div class="team-coverage">
+                <h4>⚔️ Offensive Coverage</h4>
+                <p class="team-summary">Add moves to see which types your team can hit super effectively.</p>
+            </div>
+        `;
+    }
+    
+    const typeBadge = type => `<span class="type-badge-small" style="background-color: ${getTypeColor(type)}">${capitalizeFirst(type)}</span>`;
+    const covered = analysis.coverage.filter(entry => entry.bestMultiplier > 1);
+    
+    return `
+        <div class="team-coverage">
+            <h4>⚔️ Offensive Coverage</h4>
+            <p>Super effective against <strong>${covered.length}/${analysis.coverage.length}</strong> types:</p>
+            <div class="team-type-list">
+                ${covered.map(entry => `
+                    <span title="${entry.superEffective.map(hit => `${formatAbilityName(hit.move)} (${formatPokemonName(hit.pokemon)})`).join(', ')}">${typeBadge(entry.type)}</span>
+                `).join('')}
+            </div>
+            <p class="team-gaps-title">Coverage gaps - no super effective move:</p>
+            <div class="team-type-list">
+                ${analysis.gaps.notSuperEffective.length ? analysis.gaps.notSuperEffective.map(typeBadge).join('') : '<span>None - every type is covered! 🎉</span>'}
+            </div>
+            ${analysis.gaps.resisted.length ? `
+                <p class="team-gaps-title">Resisted by every move on the team:</p>
+                <div class="team-type-list">${analysis.gaps.resisted.map(typeBadge).join('')}</div>
+            ` : ''}
+        </div>
+    `;
+}
+
+// Status line above the team builder - an empty message clears it
+export function showTeamError(message) {
+    const status = document.getElementById('team-status');
+    if (status) {
+        status.textContent = message ? `⚠️ ${message}` : '';
+    }
+}
+
+// =============================================================================
+// SHOWDOWN IMPORT / EXPORT
+// =============================================================================
+
+// errors: [{ line, message }] from the Showdown parser or the PokeAPI check
+export function displayShowdownErrors(errors) {
+    const result = document.getElementById('showdown-result');
+    if (!result) return;
+    
+    result.className = 'showdown-result error';
+    result.innerHTML = `
+        <p>⚠️ Nothing was imported - fix ${errors.length === 1 ? 'this line' : `these ${errors.length} lines`} first:</p>
+        <ul>${errors.map(() => '<li><strong></strong> <span></span></li>').join('')}</ul>
+    `;
+    
+    // The messages quote the pasted text - set it as text so it can't inject HTML
+    result.querySelectorAll('li').forEach((item, index) => {
+        item.querySelector('strong').textContent = `Line ${errors[index].line}:`;
+        item.querySelector('span').textContent = errors[index].message;
+    });
+}
+
+export function displayShowdownMessage(message) {
+    const result = document.getElementById('showdown-result');
+    if (result) {
+        result.className = 'showdown-result';
+        result.textContent = message;
+    }
+}
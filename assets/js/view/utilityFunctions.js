@@ -34,6 +34,12 @@ export function formatAbilityName(abilityName) {
     return abilityName.split('-').map(word => capitalizeFirst(word)).join(' ');
 }
 
+// Pokemon names use the same hyphenated format for alternate forms
+// e.g. "charizard-mega-x" becomes "Charizard Mega X"
+export function formatPokemonName(pokemonName) {
+    return formatAbilityName(pokemonName);
+}
+
 // Color mapping function - assigns colors to Pokémon types
 // This creates a visual connection between data and presentation
 export function getTypeColor(type) {
@@ -64,6 +70,13 @@ export function getTypeColor(type) {
     return typeColors[type.toLowerCase()] || '#68A090';
 }
 
+// Size formatting function - turns a byte count into a human readable string
+export function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
 // Theme management functions
 export function toggleDarkMode() {
     const body = document.body;
@@ -99,13 +112,52 @@ export function initializeDarkMode() {
     }
 }
 
+// Cache status display - shows how much data each cache tier holds
+export function updateCacheStatus(cacheSize) {
+    const cacheStatus = document.getElementById('cache-status');
+    if (!cacheStatus) return;
+    
+    cacheStatus.textContent = `Cache: ${cacheSize.memory} in memory, ${cacheSize.persistent} saved (${formatBytes(cacheSize.persistentBytes)})`;
+}
+
+// Data source form display - fills the footer settings form from the current settings
+export function updateDataSourceForm(settings, recordedCount) {
+    const modeSelect = document.getElementById('data-source-mode');
+    const urlInput = document.getElementById('data-source-url');
+    const fixturesInput = document.getElementById('data-source-fixtures');
+    const recordingCheckbox = document.getElementById('data-source-recording');
+    const recordedCountEl = document.getElementById('recorded-count');
+    
+    if (modeSelect) modeSelect.value = settings.mode;
+    if (urlInput) urlInput.value = settings.baseUrl;
+    if (fixturesInput) fixturesInput.value = settings.fixtureUrl;
+    if (recordingCheckbox) recordingCheckbox.checked = settings.recording;
+    if (recordedCountEl) recordedCountEl.textContent = recordedCount;
+}
+
+// File download helper - saves any data as a pretty-printed JSON file
+export function downloadJsonFile(data, fileName) {
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(link.href);
+}
+
 // Copy functionality for sharing
 export function copyPokemonInfo(pokemonName, pokemonId) {
     const text = `Check out ${capitalizeFirst(pokemonName)}! Pokémon #${pokemonId}`;
-    
+    copyToClipboard(text, 'Pokémon info copied to clipboard!');
+}
+
+// Copy any text and confirm it with a notification
+export function copyToClipboard(text, message) {
     if (navigator.clipboard) {
         navigator.clipboard.writeText(text).then(() => {
-            showNotification('Pokémon info copied to clipboard!');
+            showNotification(message);
         });
     } else {
         // Fallback for older browsers
@@ -115,7 +167,7 @@ export function copyPokemonInfo(pokemonName, pokemonId) {
         textArea.select();
         document.execCommand('copy');
         document.body.removeChild(textArea);
-        showNotification('Pokémon info copied to clipboard!');
+        showNotification(message);
     }
 }
 